@@ -0,0 +1,81 @@
+/**
+ * Netlify Background Function: Deal Index Refresh
+ *
+ * Rebuilds the local deal index (lib/deal-index.js) from every deal in a
+ * configured target stage. Started hourly by deal-index-scheduler, or by an
+ * operator with `POST /.netlify/functions/deal-index-refresh-background`
+ * and the ops token.
+ */
+
+import { connectBlobs } from '../lib/store.js';
+import { isOpsRequestAuthorized, opsUnauthorizedResponse } from '../lib/ops-auth.js';
+import { INDEX_DEAL_PROPERTIES, saveDealIndexSnapshot } from '../lib/deal-index.js';
+import { hubspotRequest } from '../lib/hubspot-client.js';
+import { isTargetStage, matchingConfig } from './email-sync.js';
+
+const PAGE_SIZE = 100;
+
+// HubSpot search refuses to page past 10,000 results per query
+const SEARCH_PAGE_LIMIT = 9900;
+
+// Pages by ascending object ID; past the paging limit the query restarts
+// from the last ID seen
+async function fetchTargetStageDeals(apiKey) {
+  const stageIds = [...matchingConfig.stages.keys()];
+  const deals = [];
+  let afterId = null;
+  let after = null;
+
+  while (true) {
+    const filters = [{ propertyName: 'dealstage', operator: 'IN', values: stageIds }];
+    if (afterId) filters.push({ propertyName: 'hs_object_id', operator: 'GT', value: afterId });
+
+    const page = await hubspotRequest(apiKey, '/crm/v3/objects/deals/search', {
+      method: 'POST',
+      body: JSON.stringify({
+        filterGroups: [{ filters }],
+        sorts: [{ propertyName: 'hs_object_id', direction: 'ASCENDING' }],
+        properties: INDEX_DEAL_PROPERTIES,
+        limit: PAGE_SIZE,
+        ...(after ? { after } : {}),
+      })
+    });
+
+    deals.push(...(page.results || []));
+    const next = page.paging?.next?.after;
+    if (!next || page.results.length === 0) break;
+
+    if (Number(next) < SEARCH_PAGE_LIMIT) {
+      after = next;
+    } else {
+      afterId = page.results[page.results.length - 1].id;
+      after = null;
+    }
+  }
+
+  return deals.filter(isTargetStage);
+}
+
+export async function handler(event) {
+  console.log('Deal index refresh triggered');
+  connectBlobs(event);
+  if (!isOpsRequestAuthorized(event)) return opsUnauthorizedResponse();
+
+  const apiKey = process.env.HUBSPOT_API_KEY;
+  if (!apiKey) {
+    console.error('HUBSPOT_API_KEY not configured');
+    return { statusCode: 500, body: 'HUBSPOT_API_KEY not configured' };
+  }
+
+  const startedAt = Date.now();
+  try {
+    const deals = await fetchTargetStageDeals(apiKey);
+    await saveDealIndexSnapshot(deals, { startedAt, configVersion: matchingConfig.version });
+    console.log(`Deal index rebuilt: ${deals.length} deals in ${Math.round((Date.now() - startedAt) / 1000)}s`);
+    return { statusCode: 200, body: JSON.stringify({ deals: deals.length }) };
+  } catch (error) {
+    // The previous snapshot stays in place until it goes stale
+    console.error('Deal index refresh failed:', error);
+    return { statusCode: 500, body: JSON.stringify({ error: error.message }) };
+  }
+}
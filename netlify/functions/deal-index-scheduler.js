@@ -0,0 +1,18 @@
+/**
+ * Netlify Scheduled Function: Deal Index Scheduler
+ *
+ * Runs hourly (see netlify.toml) and starts deal-index-refresh-background,
+ * since a full rebuild can outlast the scheduled-function time limit.
+ */
+
+import { invokeBackgroundFunction } from '../lib/background.js';
+
+export async function handler() {
+  try {
+    await invokeBackgroundFunction('deal-index-refresh-background');
+    return { statusCode: 200 };
+  } catch (error) {
+    console.error('Failed to start deal index refresh:', error);
+    return { statusCode: 500 };
+  }
+}
@@ -0,0 +1,80 @@
+/**
+ * Netlify Function: Deal Index Webhook
+ * Keeps the local deal index current between hourly rebuilds
+ *
+ * Subscribe to deal creation, deletion, restore and property changes for the
+ * indexed properties (dealname, dealstage, pipeline, full_address and the
+ * three loan-number fields). Changed deals are re-read from HubSpot; deals
+ * that left the target stages or were deleted are dropped from the index.
+ */
+
+import { connectBlobs } from '../lib/store.js';
+import { INDEX_DEAL_PROPERTIES, recordDealUpdate } from '../lib/deal-index.js';
+import { verifyHubSpotSignature, unauthorizedResponse } from '../lib/webhook-signature.js';
+import { batchRead } from '../lib/hubspot-client.js';
+import { isTargetStage } from './email-sync.js';
+
+function isDealEvent(evt) {
+  return evt.subscriptionType?.startsWith('deal.') || evt.objectTypeId === '0-3';
+}
+
+function isDeletion(evt) {
+  return /\.deletion$/.test(evt.subscriptionType || '');
+}
+
+export async function handler(event) {
+  connectBlobs(event);
+
+  if (event.httpMethod === 'GET') {
+    return { statusCode: 200, body: 'Deal index webhook active' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return { statusCode: 405, body: 'Method not allowed' };
+  }
+
+  try {
+    const verification = await verifyHubSpotSignature(event);
+    if (!verification.valid) return unauthorizedResponse(verification.reason);
+
+    const apiKey = process.env.HUBSPOT_API_KEY;
+    if (!apiKey) {
+      return { statusCode: 500, body: JSON.stringify({ error: 'HUBSPOT_API_KEY not configured' }) };
+    }
+
+    const events = JSON.parse(event.body).filter(isDealEvent);
+    const deleted = new Set();
+    const changed = new Set();
+    for (const evt of events) {
+      const dealId = String(evt.objectId);
+      if (isDeletion(evt)) {
+        deleted.add(dealId);
+        changed.delete(dealId);
+      } else if (!evt.propertyName || INDEX_DEAL_PROPERTIES.includes(evt.propertyName)) {
+        changed.add(dealId);
+        deleted.delete(dealId);
+      }
+    }
+
+    for (const dealId of deleted) await recordDealUpdate(dealId, null);
+
+    const ids = [...changed];
+    const deals = new Map((await batchRead(apiKey, 'deals', ids, INDEX_DEAL_PROPERTIES)).map(d => [String(d.id), d]));
+    let indexed = 0;
+    for (const dealId of ids) {
+      const deal = deals.get(dealId);
+      const keep = deal && isTargetStage(deal);
+      await recordDealUpdate(dealId, keep ? deal : null);
+      if (keep) indexed++;
+    }
+
+    console.log(`Deal index updated: ${indexed} indexed, ${ids.length - indexed + deleted.size} removed`);
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ success: true, indexed, removed: ids.length - indexed + deleted.size })
+    };
+  } catch (error) {
+    console.error('Error processing deal webhook:', error);
+    return { statusCode: 500, body: JSON.stringify({ error: error.message }) };
+  }
+}
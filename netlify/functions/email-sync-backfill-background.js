@@ -0,0 +1,160 @@
+/**
+ * Netlify Background Function: Email Sync Backfill Worker
+ *
+ * Pages through HubSpot emails in a job's date range (oldest first), skips
+ * emails already associated to a deal, and runs the rest through the normal
+ * email-sync pipeline. In report-only mode it records what it would
+ * associate instead of writing anything.
+ *
+ * The cursor is checkpointed after every page. Before the 15-minute
+ * background limit the worker re-invokes itself to continue the job.
+ * Only one worker runs a job at a time: it holds the job's lease, renewed
+ * after every email, and a second invocation exits.
+ */
+
+import crypto from 'node:crypto';
+import { connectBlobs } from '../lib/store.js';
+import { isOpsRequestAuthorized, opsUnauthorizedResponse } from '../lib/ops-auth.js';
+import { acquireJobLease, getJob, releaseJobLease, saveJob, startBackfillWorker } from '../lib/backfill-jobs.js';
+import { recordOutcomes } from '../lib/match-stats.js';
+import { hubspotRequest } from '../lib/hubspot-client.js';
+import { EMAIL_PROPERTIES, getEmailDealAssociations, processEmail, sleep } from './email-sync.js';
+
+// Stop picking up new pages after this long, leaving headroom for the last one
+const TIME_BUDGET_MS = 12 * 60 * 1000;
+
+// HubSpot search refuses to page past 10,000 results per query
+const SEARCH_PAGE_LIMIT = 9900;
+
+const PAGE_SIZE = 100;
+
+async function searchEmailsPage(apiKey, cursor, to) {
+  return hubspotRequest(apiKey, '/crm/v3/objects/emails/search', {
+    method: 'POST',
+    body: JSON.stringify({
+      filterGroups: [{
+        filters: [
+          { propertyName: 'hs_timestamp', operator: 'GTE', value: String(cursor.from) },
+          { propertyName: 'hs_timestamp', operator: 'LTE', value: String(to) },
+        ],
+      }],
+      sorts: [{ propertyName: 'hs_timestamp', direction: 'ASCENDING' }],
+      properties: EMAIL_PROPERTIES,
+      limit: PAGE_SIZE,
+      ...(cursor.after ? { after: cursor.after } : {}),
+    })
+  });
+}
+
+function nextCursor(cursor, page) {
+  const after = page.paging?.next?.after;
+  if (!after) return null;
+  if (Number(after) < SEARCH_PAGE_LIMIT) return { from: cursor.from, after };
+
+  // Restart the search from the last timestamp seen; emails at that exact
+  // timestamp are revisited, and already-associated ones are skipped anyway
+  const last = page.results[page.results.length - 1];
+  return { from: Date.parse(last.properties.hs_timestamp), after: null };
+}
+
+// Returns false when the worker lost the job's lease part-way through
+async function processPage(apiKey, job, page, runId) {
+  const emailIds = page.results.map(r => String(r.id));
+  const withDeals = await getEmailDealAssociations(apiKey, emailIds);
+  const outcomes = [];
+  let leaseHeld = true;
+
+  for (const email of page.results) {
+    job.counts.scanned++;
+    if (withDeals.has(String(email.id))) {
+      job.counts.alreadyAssociated++;
+      continue;
+    }
+
+    try {
+      const result = await processEmail(apiKey, email.id, { email, reportOnly: job.reportOnly });
+      job.counts[result.status]++;
+      outcomes.push(result);
+      if (job.reportOnly && result.status !== 'unmatched') job.report.push(result);
+    } catch (error) {
+      job.counts.errors++;
+      outcomes.push({ emailId: email.id, status: 'error', error: error.message });
+      console.error(`Backfill error on email ${email.id}: ${error.message}`);
+    }
+
+    await sleep(200);
+
+    if (!(await acquireJobLease(job.jobId, runId))) {
+      leaseHeld = false;
+      break;
+    }
+  }
+
+  if (!job.reportOnly) await recordOutcomes(outcomes);
+  return leaseHeld;
+}
+
+export async function handler(event) {
+  console.log('Email sync backfill worker triggered');
+  connectBlobs(event);
+  if (!isOpsRequestAuthorized(event)) return opsUnauthorizedResponse();
+
+  const startedAt = Date.now();
+  const apiKey = process.env.HUBSPOT_API_KEY;
+  const { jobId } = JSON.parse(event.body || '{}');
+
+  const runId = crypto.randomUUID();
+  if (!(await acquireJobLease(jobId, runId))) {
+    console.log(`Backfill job ${jobId} is already running, exiting`);
+    return { statusCode: 200, body: 'Job already running' };
+  }
+
+  // Read after taking the lease so it starts from the last worker's checkpoint
+  const job = await getJob(jobId);
+  if (!job) {
+    console.error(`Backfill job ${jobId} not found`);
+    await releaseJobLease(jobId, runId);
+    return { statusCode: 404, body: 'Job not found' };
+  }
+
+  job.status = 'running';
+  job.invocations++;
+  await saveJob(job);
+
+  try {
+    if (!apiKey) throw new Error('HUBSPOT_API_KEY not configured');
+
+    while (job.cursor && Date.now() - startedAt < TIME_BUDGET_MS) {
+      const page = await searchEmailsPage(apiKey, job.cursor, job.to);
+      if (!(await processPage(apiKey, job, page, runId))) {
+        // Another worker has the job; its checkpoint wins, this page is redone
+        console.warn(`Backfill ${job.jobId}: lost the job lease, stopping without a checkpoint`);
+        return { statusCode: 200, body: JSON.stringify({ jobId: job.jobId, stopped: 'lease_lost' }) };
+      }
+      job.cursor = page.results.length > 0 ? nextCursor(job.cursor, page) : null;
+      await saveJob(job);
+      console.log(`Backfill ${job.jobId}: ${job.counts.scanned} scanned, ${job.counts.matched} matched`);
+    }
+
+    if (job.cursor) {
+      console.log(`Backfill ${job.jobId}: time budget reached, continuing in a new invocation`);
+      // The next invocation needs the lease
+      await releaseJobLease(job.jobId, runId);
+      await startBackfillWorker(job.jobId);
+    } else {
+      job.status = 'completed';
+      job.completedAt = new Date().toISOString();
+      await saveJob(job);
+      console.log(`Backfill ${job.jobId} completed`, job.counts);
+    }
+  } catch (error) {
+    console.error(`Backfill ${job.jobId} failed:`, error);
+    job.status = 'failed';
+    job.error = error.message;
+    await saveJob(job);
+  } finally {
+    await releaseJobLease(job.jobId, runId);
+  }
+
+  return { statusCode: 200, body: JSON.stringify({ jobId: job.jobId, status: job.status }) };
+}
@@ -0,0 +1,71 @@
+/**
+ * Netlify Function: Email Sync Backfill
+ *
+ * Starts, resumes and reports on historical backfill jobs. The work itself
+ * runs in email-sync-backfill-background.
+ *
+ * POST /webhooks/email-sync/backfill
+ *   { "from": "2025-01-01", "to": "2025-12-31", "reportOnly": true }  -> start a job
+ *   { "jobId": "..." }                                               -> resume a stopped job
+ * GET  /webhooks/email-sync/backfill              -> list jobs
+ * GET  /webhooks/email-sync/backfill?jobId=...    -> job state and report
+ *
+ * Requires `Authorization: Bearer <OPS_API_TOKEN>`.
+ */
+
+import { connectBlobs } from '../lib/store.js';
+import { json } from '../lib/http.js';
+import { isOpsRequestAuthorized, opsUnauthorizedResponse } from '../lib/ops-auth.js';
+import { createJob, getJob, isJobRunning, listJobs, startBackfillWorker } from '../lib/backfill-jobs.js';
+
+function parseDate(value) {
+  const ms = typeof value === 'number' ? value : Date.parse(value);
+  return Number.isFinite(ms) ? ms : null;
+}
+
+export async function handler(event) {
+  connectBlobs(event);
+  if (!isOpsRequestAuthorized(event)) return opsUnauthorizedResponse();
+
+  try {
+    if (event.httpMethod === 'GET') {
+      const jobId = event.queryStringParameters?.jobId;
+      if (!jobId) return json(200, { jobs: await listJobs() });
+
+      const job = await getJob(jobId);
+      return job ? json(200, job) : json(404, { error: `Job ${jobId} not found` });
+    }
+
+    if (event.httpMethod !== 'POST') {
+      return { statusCode: 405, body: 'Method not allowed' };
+    }
+
+    const input = JSON.parse(event.body || '{}');
+
+    if (input.jobId) {
+      const job = await getJob(input.jobId);
+      if (!job) return json(404, { error: `Job ${input.jobId} not found` });
+      if (job.status === 'completed') return json(409, { error: 'Job already completed' });
+      // A worker renews the job's lease after every email; once it stops, the job can be resumed
+      if (await isJobRunning(job.jobId)) {
+        return json(409, { error: 'Job is still running' });
+      }
+      await startBackfillWorker(job.jobId);
+      return json(202, { jobId: job.jobId, status: 'resuming' });
+    }
+
+    const from = parseDate(input.from);
+    const to = parseDate(input.to) ?? Date.now();
+    if (from === null || from >= to) {
+      return json(400, { error: 'Provide a valid "from" date before "to"' });
+    }
+
+    const job = await createJob({ from, to, reportOnly: input.reportOnly });
+    await startBackfillWorker(job.jobId);
+    console.log(`Started backfill job ${job.jobId} (${new Date(from).toISOString()} - ${new Date(to).toISOString()}, reportOnly=${job.reportOnly})`);
+    return json(202, { jobId: job.jobId, status: 'started' });
+  } catch (error) {
+    console.error('Error handling backfill request:', error);
+    return json(500, { error: error.message });
+  }
+}
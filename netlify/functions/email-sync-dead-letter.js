@@ -0,0 +1,68 @@
+/**
+ * Netlify Function: Email Sync Dead-Letter List
+ *
+ * GET  /webhooks/email-sync/dead-letter           -> list dead-lettered emails
+ * POST /webhooks/email-sync/dead-letter
+ *   { "emailId": "...", "action": "replay" }       Re-queue one email
+ *   { "all": true, "action": "replay" }            Re-queue every entry
+ *   { "emailId": "...", "action": "discard" }      Drop the entry
+ *
+ * Replayed emails start over with a full set of retry attempts, and the
+ * queue worker is started right away.
+ *
+ * Requires `Authorization: Bearer <OPS_API_TOKEN>`.
+ */
+
+import { connectBlobs } from '../lib/store.js';
+import { json } from '../lib/http.js';
+import { isOpsRequestAuthorized, opsUnauthorizedResponse } from '../lib/ops-auth.js';
+import {
+  discardDeadLetter,
+  getDeadLetter,
+  listDeadLetters,
+  listQueue,
+  replayDeadLetter,
+  startQueueWorker,
+} from '../lib/processing-queue.js';
+
+export async function handler(event) {
+  connectBlobs(event);
+  if (!isOpsRequestAuthorized(event)) return opsUnauthorizedResponse();
+
+  try {
+    if (event.httpMethod === 'GET') {
+      const [entries, pending] = await Promise.all([listDeadLetters(), listQueue()]);
+      return json(200, { count: entries.length, pending: pending.length, entries });
+    }
+
+    if (event.httpMethod !== 'POST') {
+      return { statusCode: 405, body: 'Method not allowed' };
+    }
+
+    const { emailId, all, action = 'replay' } = JSON.parse(event.body || '{}');
+    if (!['replay', 'discard'].includes(action)) {
+      return json(400, { error: 'action must be "replay" or "discard"' });
+    }
+    if (!emailId && !(all && action === 'replay')) {
+      return json(400, { error: 'emailId is required' });
+    }
+
+    const entries = all ? await listDeadLetters() : [await getDeadLetter(emailId)].filter(Boolean);
+    if (entries.length === 0 && !all) {
+      return json(404, { error: `Email ${emailId} is not in the dead-letter list` });
+    }
+
+    if (action === 'discard') {
+      await discardDeadLetter(emailId);
+      return json(200, { success: true, emailId, action });
+    }
+
+    for (const entry of entries) await replayDeadLetter(entry);
+    if (entries.length > 0) await startQueueWorker();
+
+    return json(200, { success: true, action, replayed: entries.map(e => e.emailId) });
+  } catch (error) {
+    console.error('Dead-letter action failed:', error);
+    return json(500, { error: error.message });
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * Netlify Function: Email Sync Explain (dry run)
+ *
+ * Runs the email-to-deal matcher (content, thread, single-contact fallback)
+ * without associating anything and reports how it reached its decision.
+ *
+ * POST /webhooks/email-sync/explain
+ *   { "subject": "...", "body": "...", "from": "..." }  -> match pasted content
+ *   { "subject": "...", "html": "...", "from": "..." }  -> ...pasted as HTML
+ *   { "emailId": "..." }                  -> match an existing HubSpot email
+ * GET  /webhooks/email-sync/explain?emailId=...
+ *
+ * Requires `Authorization: Bearer <OPS_API_TOKEN>`.
+ */
+
+import { connectBlobs } from '../lib/store.js';
+import { json } from '../lib/http.js';
+import { isOpsRequestAuthorized, opsUnauthorizedResponse } from '../lib/ops-auth.js';
+import { HubSpotNotFoundError } from '../lib/hubspot-client.js';
+import { applySenderDirectory, getEmail, parseEmailContent, parseEmailRecord, resolveMatch, summarizeCandidate } from './email-sync.js';
+
+function describeDecision({ match, matches, candidates, ambiguous }) {
+  if (match) {
+    return {
+      action: 'associate',
+      deals: matches.map(m => ({
+        dealId: m.deal.id,
+        dealName: m.deal.properties.dealname,
+        confidence: m.confidence,
+        matchType: m.matchType,
+        matchValue: m.matchValue,
+        ...(m.rule ? { ruleId: m.rule.ruleId } : {}),
+      })),
+    };
+  }
+  if (candidates.length > 0) {
+    return { action: 'review', reason: ambiguous ? 'ambiguous' : 'low_confidence' };
+  }
+  return { action: 'none', reason: 'no_candidates' };
+}
+
+export async function handler(event) {
+  connectBlobs(event);
+  if (!isOpsRequestAuthorized(event)) return opsUnauthorizedResponse();
+
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+    return { statusCode: 405, body: 'Method not allowed' };
+  }
+
+  try {
+    const apiKey = process.env.HUBSPOT_API_KEY;
+    if (!apiKey) return json(500, { error: 'HUBSPOT_API_KEY not configured' });
+
+    const input = event.httpMethod === 'GET'
+      ? (event.queryStringParameters || {})
+      : JSON.parse(event.body || '{}');
+
+    const emailId = input.emailId ? String(input.emailId) : null;
+    let email = null, subject, parsed;
+
+    if (emailId) {
+      email = await getEmail(apiKey, emailId);
+      ({ subject, parsed } = await parseEmailRecord(apiKey, email));
+    } else if (input.subject || input.body || input.html) {
+      subject = input.subject;
+      parsed = applySenderDirectory(
+        parseEmailContent(input.subject, { text: input.body, html: input.html }),
+        input.subject,
+        input.from
+      );
+    } else {
+      return json(400, { error: 'Provide emailId, or subject and/or body or html' });
+    }
+
+    const trace = { searches: [] };
+    const result = await resolveMatch(apiKey, emailId, parsed, { trace, email });
+
+    return json(200, {
+      emailId,
+      subject,
+      parsed,
+      searches: trace.searches,
+      candidates: result.candidates.map(c => ({ ...summarizeCandidate(c), breakdown: c.breakdown })),
+      threadChecked: Boolean(emailId) && trace.searches.some(s => s.type === 'thread'),
+      fallbackChecked: trace.searches.some(s => s.type === 'single_contact_deal'),
+      decision: describeDecision(result),
+    });
+  } catch (error) {
+    if (error instanceof HubSpotNotFoundError) return json(404, { error: error.message });
+    console.error('Error explaining match:', error);
+    return json(500, { error: error.message });
+  }
+}
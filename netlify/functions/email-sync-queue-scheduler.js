@@ -0,0 +1,26 @@
+/**
+ * Netlify Scheduled Function: Email Sync Queue Scheduler
+ *
+ * Runs every 5 minutes (see netlify.toml). Starts the queue worker when
+ * emails are still pending, which picks up retries whose backoff outlasted
+ * the previous worker run and any worker that died mid-run.
+ */
+
+import { connectBlobs } from '../lib/store.js';
+import { listQueue, startQueueWorker } from '../lib/processing-queue.js';
+
+export async function handler(event) {
+  connectBlobs(event);
+
+  try {
+    const entries = await listQueue();
+    const due = entries.filter(e => e.nextAttemptAt <= Date.now()).length;
+    console.log(`Email sync queue: ${entries.length} pending, ${due} due`);
+
+    if (due > 0) await startQueueWorker();
+    return { statusCode: 200 };
+  } catch (error) {
+    console.error('Queue scheduler failed:', error);
+    return { statusCode: 500 };
+  }
+}
@@ -0,0 +1,67 @@
+/**
+ * Netlify Function: Email Sync Review Queue
+ *
+ * GET  /webhooks/email-sync/review              -> list queued emails
+ * POST /webhooks/email-sync/review
+ *   { "emailId": "...", "action": "approve", "dealId": "..." }
+ *       Associates the email to one of its queued candidates
+ *   { "emailId": "...", "action": "dismiss" }
+ *       Drops the entry without associating
+ *
+ * Requires `Authorization: Bearer <OPS_API_TOKEN>`.
+ */
+
+import { connectBlobs } from '../lib/store.js';
+import { json } from '../lib/http.js';
+import { isOpsRequestAuthorized, opsUnauthorizedResponse } from '../lib/ops-auth.js';
+import { getReviewEntry, listReviewQueue, removeReviewEntry } from '../lib/review-queue.js';
+import { associateEmailToDeal, writeMatchProvenance } from './email-sync.js';
+
+export async function handler(event) {
+  connectBlobs(event);
+  if (!isOpsRequestAuthorized(event)) return opsUnauthorizedResponse();
+
+  try {
+    if (event.httpMethod === 'GET') {
+      const entries = await listReviewQueue();
+      return json(200, { count: entries.length, entries });
+    }
+
+    if (event.httpMethod !== 'POST') {
+      return { statusCode: 405, body: 'Method not allowed' };
+    }
+
+    const { emailId, action, dealId } = JSON.parse(event.body || '{}');
+    if (!emailId) return json(400, { error: 'emailId is required' });
+
+    const entry = await getReviewEntry(emailId);
+    if (!entry) return json(404, { error: `Email ${emailId} is not in the review queue` });
+
+    if (action === 'dismiss') {
+      await removeReviewEntry(emailId);
+      console.log(`Dismissed review entry for email ${emailId}`);
+      return json(200, { success: true, emailId, action });
+    }
+
+    if (action === 'approve') {
+      const candidate = entry.candidates.find(c => String(c.dealId) === String(dealId));
+      if (!candidate) return json(400, { error: `Deal ${dealId} is not a candidate for email ${emailId}` });
+
+      const apiKey = process.env.HUBSPOT_API_KEY;
+      if (!apiKey) return json(500, { error: 'HUBSPOT_API_KEY not configured' });
+
+      await associateEmailToDeal(apiKey, emailId, candidate.dealId);
+      await writeMatchProvenance(apiKey, emailId, [{
+        matchType: 'review_approved', matchValue: candidate.matchValue, confidence: candidate.score,
+      }]).catch(err => console.warn(`Failed to write match provenance for email ${emailId}: ${err.message}`));
+      await removeReviewEntry(emailId);
+      console.log(`Approved email ${emailId} -> deal ${candidate.dealName} (${candidate.dealId})`);
+      return json(200, { success: true, emailId, action, dealId: candidate.dealId, dealName: candidate.dealName });
+    }
+
+    return json(400, { error: `Unknown action: ${action}` });
+  } catch (error) {
+    console.error('Error handling review request:', error);
+    return json(500, { error: error.message });
+  }
+}
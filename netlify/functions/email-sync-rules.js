@@ -0,0 +1,73 @@
+/**
+ * Netlify Function: Email Sync Learned Rules
+ *
+ * GET  /webhooks/email-sync/rules                 -> list learned rules
+ * GET  /webhooks/email-sync/rules?sender=...      -> rules for one sender
+ * POST /webhooks/email-sync/rules
+ *   { "action": "delete", "ruleIds": ["..."] }
+ *       Delete specific rules
+ *   { "action": "prune", "unusedForDays": 90, "dealId": "..." }
+ *       Delete rules not used (or created) in that many days, optionally
+ *       only those pointing at one deal
+ *
+ * Requires `Authorization: Bearer <OPS_API_TOKEN>`.
+ */
+
+import { connectBlobs } from '../lib/store.js';
+import { json } from '../lib/http.js';
+import { isOpsRequestAuthorized, opsUnauthorizedResponse } from '../lib/ops-auth.js';
+import { deleteRule, listRules } from '../lib/match-rules.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isUnused(rule, days) {
+  const lastActivity = Date.parse(rule.lastUsedAt || rule.updatedAt);
+  return Date.now() - lastActivity > days * DAY_MS;
+}
+
+export async function handler(event) {
+  connectBlobs(event);
+  if (!isOpsRequestAuthorized(event)) return opsUnauthorizedResponse();
+
+  try {
+    if (event.httpMethod === 'GET') {
+      const { sender } = event.queryStringParameters || {};
+      const rules = await listRules({ sender });
+      return json(200, { count: rules.length, rules });
+    }
+
+    if (event.httpMethod !== 'POST') {
+      return { statusCode: 405, body: 'Method not allowed' };
+    }
+
+    const { action, ruleIds, unusedForDays, dealId } = JSON.parse(event.body || '{}');
+
+    if (action === 'delete') {
+      if (!Array.isArray(ruleIds) || ruleIds.length === 0) {
+        return json(400, { error: 'ruleIds must be a non-empty array' });
+      }
+      for (const ruleId of ruleIds) await deleteRule(ruleId);
+      return json(200, { success: true, deleted: ruleIds });
+    }
+
+    if (action === 'prune') {
+      const hasDays = unusedForDays !== undefined;
+      if (hasDays && !(typeof unusedForDays === 'number' && Number.isFinite(unusedForDays) && unusedForDays >= 0)) {
+        return json(400, { error: 'unusedForDays must be a non-negative number' });
+      }
+      if (!hasDays && !dealId) {
+        return json(400, { error: 'Provide unusedForDays and/or dealId' });
+      }
+      const rules = (await listRules())
+        .filter(r => !dealId || r.dealId === String(dealId))
+        .filter(r => !hasDays || isUnused(r, unusedForDays));
+      for (const rule of rules) await deleteRule(rule.ruleId);
+      return json(200, { success: true, deleted: rules.map(r => r.ruleId) });
+    }
+
+    return json(400, { error: 'action must be "delete" or "prune"' });
+  } catch (error) {
+    console.error('Rules action failed:', error);
+    return json(500, { error: error.message });
+  }
+}
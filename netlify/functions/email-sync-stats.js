@@ -1,18 +1,61 @@
 /**
  * Netlify Function: Email Sync Stats
  * Returns statistics about email syncing
+ *
+ * Without credentials only the status is returned. With
+ * `Authorization: Bearer <OPS_API_TOKEN>` the response includes match
+ * statistics over a time window: ?days=7 (default) or ?hours=24, and the
+ * state of the local deal index.
  */
 
+import { connectBlobs } from '../lib/store.js';
+import { windowMs } from '../lib/http.js';
+import { isOpsRequestAuthorized } from '../lib/ops-auth.js';
+import { loadOutcomes, summarizeOutcomes } from '../lib/match-stats.js';
+import { getDealIndexStatus } from '../lib/deal-index.js';
+import { matchingConfig, multiDealConfig } from './email-sync.js';
+
 export async function handler(event) {
+  connectBlobs(event);
+
+  const response = {
+    status: 'active',
+    message: 'Email sync integration running on Netlify',
+    config: {
+      version: matchingConfig.version,
+      source: matchingConfig.source,
+      confidenceThreshold: matchingConfig.confidenceThreshold,
+      multiDeal: multiDealConfig
+    },
+    stages: [...matchingConfig.stages.keys()],
+    pipelines: Object.fromEntries(
+      Object.entries(matchingConfig.pipelines).map(([key, p]) => [key, Object.values(p.stages)])
+    )
+  };
+
+  if (isOpsRequestAuthorized(event)) {
+    try {
+      const to = Date.now();
+      const from = to - windowMs(event.queryStringParameters || {});
+      const outcomes = await loadOutcomes(from, to);
+      response.window = { from: new Date(from).toISOString(), to: new Date(to).toISOString() };
+      response.stats = summarizeOutcomes(outcomes);
+      response.dealIndex = await getDealIndexStatus();
+    } catch (error) {
+      console.error('Error loading stats:', error);
+      return {
+        statusCode: 500,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ error: error.message })
+      };
+    }
+  }
+
   return {
     statusCode: 200,
     headers: {
       'Content-Type': 'application/json'
     },
-    body: JSON.stringify({
-      status: 'active',
-      message: 'Email sync integration running on Netlify',
-      stages: ['presentationscheduled', 'closedwon', '4447566']
-    })
+    body: JSON.stringify(response)
   };
 }
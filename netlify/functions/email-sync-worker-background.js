@@ -0,0 +1,112 @@
+/**
+ * Netlify Background Function: Email Sync Queue Worker
+ *
+ * Drains the email-sync processing queue. Each due email goes through the
+ * normal pipeline; failures are retried with backoff and dead-lettered after
+ * the last attempt (see lib/processing-queue.js).
+ *
+ * Started by the webhook after it enqueues, and by the scheduled
+ * email-sync-queue-scheduler as a safety net. Only one worker runs at a time;
+ * a second invocation exits if another holds the lease. Retries that are not
+ * due before the time budget runs out are left for the next scheduled run.
+ */
+
+import crypto from 'node:crypto';
+import { connectBlobs } from '../lib/store.js';
+import { isOpsRequestAuthorized, opsUnauthorizedResponse } from '../lib/ops-auth.js';
+import { recordOutcomes } from '../lib/match-stats.js';
+import { HubSpotNotFoundError } from '../lib/hubspot-client.js';
+import {
+  acquireWorkerLease,
+  completeEntry,
+  listQueue,
+  recordFailure,
+  releaseWorkerLease,
+  renewWorkerLease,
+} from '../lib/processing-queue.js';
+import { processEmail, sleep } from './email-sync.js';
+
+// Stop picking up new emails after this long, well within the 15-minute limit
+const TIME_BUDGET_MS = 12 * 60 * 1000;
+
+async function processEntry(apiKey, entry) {
+  try {
+    console.log(`Processing email ${entry.emailId} (attempt ${entry.attempts + 1})`);
+    const result = await processEmail(apiKey, entry.emailId);
+    await completeEntry(entry.emailId);
+    return result;
+  } catch (error) {
+    const permanent = error instanceof HubSpotNotFoundError;
+    const { deadLettered, retryInMs } = await recordFailure(entry, error, { permanent });
+    if (deadLettered) {
+      console.error(`Email ${entry.emailId} dead-lettered after ${entry.attempts + 1} attempts: ${error.message}`);
+      return { emailId: entry.emailId, status: 'error', error: error.message };
+    }
+    console.warn(`Email ${entry.emailId} failed, retrying in ${retryInMs / 1000}s: ${error.message}`);
+    return null;
+  }
+}
+
+export async function handler(event) {
+  console.log('Email sync queue worker triggered');
+  connectBlobs(event);
+  if (!isOpsRequestAuthorized(event)) return opsUnauthorizedResponse();
+
+  const apiKey = process.env.HUBSPOT_API_KEY;
+  if (!apiKey) {
+    console.error('HUBSPOT_API_KEY not configured');
+    return { statusCode: 500, body: 'HUBSPOT_API_KEY not configured' };
+  }
+
+  const runId = crypto.randomUUID();
+  if (!(await acquireWorkerLease(runId))) {
+    console.log('Another queue worker is running, exiting');
+    return { statusCode: 200, body: 'Worker already running' };
+  }
+
+  const startedAt = Date.now();
+  const outOfTime = () => Date.now() - startedAt >= TIME_BUDGET_MS;
+  let processed = 0;
+
+  try {
+    while (!outOfTime()) {
+      const entries = await listQueue();
+      if (entries.length === 0) break;
+
+      const due = entries.filter(e => e.nextAttemptAt <= Date.now());
+      if (due.length === 0) {
+        // Wait for the next retry if it falls inside this run, otherwise leave it to the scheduler
+        const wait = entries[0].nextAttemptAt - Date.now();
+        if (Date.now() + wait - startedAt >= TIME_BUDGET_MS) break;
+        await sleep(Math.min(wait, 60 * 1000));
+        await renewWorkerLease(runId);
+        continue;
+      }
+
+      const outcomes = [];
+      for (const entry of due) {
+        if (outOfTime()) break;
+
+        const result = await processEntry(apiKey, entry);
+        if (result) outcomes.push(result);
+        processed++;
+
+        if (!(await renewWorkerLease(runId))) {
+          console.warn('Queue worker lost its lease, stopping');
+          await recordOutcomes(outcomes).catch(err => console.error(`Failed to record outcomes: ${err.message}`));
+          return { statusCode: 200, body: JSON.stringify({ processed, stopped: 'lease_lost' }) };
+        }
+
+        // Throttle between emails
+        await sleep(200);
+      }
+
+      await recordOutcomes(outcomes).catch(err => console.error(`Failed to record outcomes: ${err.message}`));
+    }
+  } finally {
+    await releaseWorkerLease(runId);
+  }
+
+  console.log(`Queue worker finished: ${processed} attempts in ${Math.round((Date.now() - startedAt) / 1000)}s`);
+  return { statusCode: 200, body: JSON.stringify({ processed }) };
+}
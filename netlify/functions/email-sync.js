@@ -4,106 +4,154 @@
  *
  * Features:
  * - Deduplicates events within a batch
- * - Retries with backoff on rate limits (429)
+ * - Shared HubSpot client: rate limited, retries 429s (honoring Retry-After)
  * - Matches by loan number (incl. 9-digit servicer numbers), address, and deal name
+ * - Sender directory: servicer/title-company senders search their own loan field
  * - 65% confidence threshold (address matches score 80+)
+ * - Fuzzy, word-order-insensitive deal-name scoring; near-ties are not auto-associated
+ * - Addresses normalized (suffixes, directionals, units, states, ZIP+4) and compared by component
+ * - Stages, threshold, blacklist and subject patterns in netlify/config/email-sync.json
  * - Subject line pattern extraction (draws, payments, title work)
+ * - HTML bodies converted to text; signatures and quoted replies parsed
+ *   separately, scoring lower than the new message's own text
+ * - Reads PDF/CSV/text attachments when the body has no loan number
+ * - Matches against a local index of target-stage deals; searches HubSpot on a miss
  * - Cross-field search (dealname <-> full_address fallback)
+ * - Replies with no identifiers inherit the deal of earlier emails in the thread
  * - Fallback: if contact has exactly one deal, assumes that's the match
+ * - Learns sender + identifier -> deal rules when ops users move an email to another deal
+ * - Optional multi-deal mode: one email -> every referenced loan/address deal
+ * - Low-confidence and tied matches go to the manual review queue
+ * - Queues events and returns at once; a background worker retries failures
+ *   with backoff and dead-letters emails that keep failing
+ * - Writes match type, value, confidence and sync version onto the email
+ * - Records each email's outcome for the stats endpoint
  * - Throttles API calls to stay within HubSpot limits
+ * - Rejects requests without a valid HubSpot v3 signature
  */
 
-import fetch from 'node-fetch';
-
-// HubSpot API base URL
-const HUBSPOT_API_BASE = 'https://api.hubapi.com';
-
-// Target deal stages - any active/funded deal stage
-const TARGET_STAGES = {
-  processing: 'presentationscheduled',
-  postFunded: 'closedwon',
-  sold: '4447566',
-  repaid: '4447567',
-  lienReleased: '1085330955',
-  dscrProcessing: '1067972413',
-  dscrPostCloseQC: '1067972416',
-  dscrClosedWon: '1269293461',
-  preForeclosure: '1015819060',
-  foreclosureActive: '1015819061',
-  foreclosurePaused: '1018320194',
-  foreclosureAuction: '1018320195',
-  reoPreListing: '1015819063',
-  reoListed: '1018320196',
-  reoUnderContract: '1018320197',
-};
-const TARGET_STAGE_VALUES = new Set(Object.values(TARGET_STAGES));
+import packageJson from '../../package.json' with { type: 'json' };
+import { connectBlobs } from '../lib/store.js';
+import { addToReviewQueue } from '../lib/review-queue.js';
+import { enqueueEmails, startQueueWorker } from '../lib/processing-queue.js';
+import { attachmentKind, extractAttachmentText } from '../lib/attachment-text.js';
+import { extractEmailContent } from '../lib/email-text.js';
+import { loadEmailSyncConfig, LOAN_NUMBER_PROPERTIES } from '../lib/email-sync-config.js';
+import { normalizeAddress, compareAddresses, isSameAddress } from '../lib/address-normalizer.js';
+import { compareNames } from '../lib/name-similarity.js';
+import { lookupSender } from '../lib/sender-directory.js';
+import { loadDealIndex } from '../lib/deal-index.js';
+import { applyAssociationChange, findRulesFor, parseAssociationEvent, recordRuleHit, recordSyncDecision } from '../lib/match-rules.js';
+import { verifyHubSpotSignature, unauthorizedResponse } from '../lib/webhook-signature.js';
+import { batchRead, batchReadAssociations, getAssociations, hubspotRequest } from '../lib/hubspot-client.js';
+
+// Matching settings (target stages per pipeline, confidence threshold,
+// address blacklist, subject patterns) come from netlify/config/email-sync.json
+// or EMAIL_SYNC_CONFIG, and are validated when this module loads
+export const matchingConfig = loadEmailSyncConfig();
 
 // Minimum confidence to auto-associate
-const CONFIDENCE_THRESHOLD = 65;
+const CONFIDENCE_THRESHOLD = matchingConfig.confidenceThreshold;
+
+// Opt-in: associate an email with every loan number / address match (capped)
+const MULTI_DEAL_MODE = process.env.EMAIL_SYNC_MULTI_DEAL === 'true';
+const DEFAULT_MAX_DEALS_PER_EMAIL = 5;
+const MAX_DEALS_PER_EMAIL = parseMaxDeals(process.env.EMAIL_SYNC_MAX_DEALS);
+
+function parseMaxDeals(value) {
+  if (value === undefined || value.trim() === '') return DEFAULT_MAX_DEALS_PER_EMAIL;
+  const max = /^\d+$/.test(value.trim()) ? parseInt(value.trim(), 10) : NaN;
+  if (max > 0) return max;
+  console.warn(`EMAIL_SYNC_MAX_DEALS must be a positive integer, got "${value}"; using ${DEFAULT_MAX_DEALS_PER_EMAIL}`);
+  return DEFAULT_MAX_DEALS_PER_EMAIL;
+}
 
-// Address false-positive blacklist
-const ADDRESS_BLACKLIST = [
-  /^\d+\s+(am|pm|quick|other|of\b)/i,
-  /bankruptcy|unsubscribe|copyright/i,
-  /^\d+\s+\w+\s+to\s+get\s+started/i,
-];
+// Reported by the stats endpoint
+export const multiDealConfig = { enabled: MULTI_DEAL_MODE, maxDealsPerEmail: MAX_DEALS_PER_EMAIL };
 
-// --- HubSpot API helper with retry ---
+// Attachment limits, to stay inside the function timeout
+const MAX_ATTACHMENTS = 5;
+const MAX_ATTACHMENT_BYTES = 5 * 1024 * 1024;
+const ATTACHMENT_TIME_BUDGET_MS = 4000;
 
-async function hubspotRequest(apiKey, endpoint, options = {}, retries = 3) {
-  const url = `${HUBSPOT_API_BASE}${endpoint}`;
-  const headers = {
-    'Authorization': `Bearer ${apiKey}`,
-    'Content-Type': 'application/json',
-    ...options.headers
-  };
+// Confidence given to a deal inherited from an earlier email in the thread
+const THREAD_MATCH_CONFIDENCE = 90;
 
-  for (let attempt = 0; attempt <= retries; attempt++) {
-    try {
-      const response = await fetch(url, { ...options, headers });
-
-      if (response.status === 429) {
-        if (attempt < retries) {
-          const retryAfter = response.headers.get('retry-after');
-          const delay = retryAfter ? parseInt(retryAfter) * 1000 : (attempt + 1) * 1000;
-          console.warn(`Rate limited, retrying in ${delay}ms (attempt ${attempt + 1}/${retries})`);
-          await sleep(delay);
-          continue;
-        }
-      }
+// Confidence given to a deal from a rule learned from a manual correction
+const LEARNED_RULE_CONFIDENCE = 100;
 
-      if (!response.ok) {
-        const error = await response.json().catch(() => ({}));
-        throw new Error(`HubSpot API Error (${response.status}): ${error.message || response.statusText}`);
-      }
+// Points taken off a candidate whose identifier only appears in quoted
+// reply history (older messages in the thread) or in the signature, which
+// mostly holds the sender's own office address
+const LOW_WEIGHT_PENALTIES = {
+  quoted: { points: 15, reason: 'only found in quoted reply text' },
+  signature: { points: 25, reason: 'only found in the email signature' },
+};
 
-      if (response.status === 204) return {};
-      return await response.json();
-    } catch (error) {
-      if (attempt < retries && error.message?.includes('secondly limit')) {
-        await sleep((attempt + 1) * 1000);
-        continue;
-      }
-      throw error;
-    }
-  }
-}
+// Written to the email with each association; changes with the package
+// version or the matching config version
+export const SYNC_VERSION = `${packageJson.version}+config.${matchingConfig.version}`;
+
+// Top two candidates this close are a tie: queued for review, not associated
+const AMBIGUITY_MARGIN = matchingConfig.ambiguityMargin;
+
+// Address false-positive blacklist
+const ADDRESS_BLACKLIST = matchingConfig.addressBlacklist;
 
-function sleep(ms) {
+export function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
 // --- Email parser ---
 
-function parseEmail(subject, body) {
+// Each identifier is tagged with where it was found in parsed.sources,
+// e.g. sources.loanNumbers['399536679'] = ['attachment:statement.pdf']
+export function parseEmail(subject, body, source = 'email') {
   const cleanSubject = (subject || '').trim();
   const cleanBody = (body || '').replace(/\r\n/g, '\n').replace(/\r/g, '\n');
 
-  return {
+  const parsed = {
     loanNumbers: extractLoanNumbers(cleanSubject, cleanBody),
     addresses: extractAddresses(cleanSubject, cleanBody),
     dealNames: extractDealNames(cleanSubject, cleanBody),
   };
+  parsed.sources = Object.fromEntries(
+    Object.entries(parsed).map(([key, values]) => [key, Object.fromEntries(values.map(v => [v, [source]]))])
+  );
+  return parsed;
+}
+
+// Fold identifiers from another parse (e.g. an attachment) into target
+function mergeParsed(target, extra) {
+  for (const key of ['loanNumbers', 'addresses', 'dealNames']) {
+    for (const value of extra[key]) {
+      if (!target[key].includes(value)) target[key].push(value);
+      target.sources[key][value] = [...new Set([...(target.sources[key][value] || []), ...extra.sources[key][value]])];
+    }
+  }
+  return target;
+}
+
+// Parse a message's own text with source 'email', its quoted history with
+// source 'quoted' and its signature with source 'signature'. HTML is
+// converted to text when there is no text part.
+export function parseEmailContent(subject, { text, html } = {}) {
+  const { body, quoted, signature } = extractEmailContent({ text, html });
+  const parsed = parseEmail(subject, body);
+  if (quoted) mergeParsed(parsed, parseEmail('', quoted, 'quoted'));
+  if (signature) mergeParsed(parsed, parseEmail('', signature, 'signature'));
+  return parsed;
+}
+
+// parsed key holding each identifier type
+const IDENTIFIER_KEYS = { loan_number: 'loanNumbers', address: 'addresses', deal_name: 'dealNames' };
+
+// 'quoted' or 'signature' when an identifier was only seen there (see
+// LOW_WEIGHT_PENALTIES), null when the message itself has it
+function lowWeightSource(parsed, key, value) {
+  const sources = parsed.sources?.[key]?.[value] || [];
+  if (sources.length === 0 || !sources.every(source => LOW_WEIGHT_PENALTIES[source])) return null;
+  return sources.includes('quoted') ? 'quoted' : 'signature';
 }
 
 function extractLoanNumbers(subject, body) {
@@ -127,7 +175,7 @@ function extractLoanNumbers(subject, body) {
 
   // Servicer loan numbers in subject (7-10 digits after separator)
   // e.g., "RECORDED DOCUMENTS - 399558497", "Raikin/5260113979"
-  const subjectPattern = /(?:[-–|/]\s*)(\d{7,10})\b/g;
+  const subjectPattern = new RegExp(matchingConfig.loanNumberSubjectPattern);
   while ((match = subjectPattern.exec(subject)) !== null) {
     loanNumbers.add(match[1]);
   }
@@ -180,7 +228,7 @@ function extractDealNames(subject, body) {
   const names = new Set();
 
   // Subject line patterns: "Draw 6 - 168 Las Palmas", "PAYMENTS: 21 Valley Rd"
-  const subjectPattern = /(?:draw\s*\d*\s*[-–]\s*|payments?:\s*|title\s+work\s*[|]\s*|desktop\s+for\s+)(.+?)(?:\s*[-–|]\s*|$)/gi;
+  const subjectPattern = new RegExp(matchingConfig.dealNameSubjectPattern);
   let match;
   while ((match = subjectPattern.exec(subject)) !== null) {
     const name = match[1].trim();
@@ -200,8 +248,12 @@ function extractDealNames(subject, body) {
 
 // --- Deal matching ---
 
-function isTargetStage(deal) {
-  return TARGET_STAGE_VALUES.has(deal.properties.dealstage);
+// Stage must be configured; if its pipeline entry pins a pipelineId, the
+// deal must be in that pipeline too
+export function isTargetStage(deal) {
+  const stage = matchingConfig.stages.get(deal.properties.dealstage);
+  if (!stage) return false;
+  return !stage.pipelineId || !deal.properties.pipeline || deal.properties.pipeline === stage.pipelineId;
 }
 
 function cleanSearchValue(value) {
@@ -209,36 +261,70 @@ function cleanSearchValue(value) {
   return value.split('\n')[0].split('\r')[0].replace(/\s+/g, ' ').replace(/[.]+$/, '').trim();
 }
 
+// House number + street name, without directionals, suffix or unit, so the
+// search hits whether the deal says "123 N Main St" or "123 North Main Street"
 function extractStreetCore(address) {
-  const beforeComma = address.split(',')[0].trim();
-  const withoutSuffix = beforeComma.replace(
-    /\s+(?:St(?:reet)?|Ave(?:nue)?|Rd|Road|Dr(?:ive)?|Ln|Lane|Blvd|Boulevard|Ct|Court|Way|Pl(?:ace)?|Cir(?:cle)?|Pkwy|Ter(?:race)?|Trl|Hwy)\.?\s*$/i,
-    ''
-  ).trim();
-  if (/^\d+\s+\w+/.test(withoutSuffix)) return withoutSuffix;
-  return beforeComma;
+  const normalized = normalizeAddress(address);
+  if (normalized?.houseNumber && normalized.streetName) {
+    return `${normalized.houseNumber} ${normalized.streetName}`;
+  }
+  return address.split(',')[0].trim();
 }
 
-function scoreMatch(matchType, matchValue, deal, parsed) {
+// Deal-name score = floor + range * token similarity (0-1): exact names
+// score 95, "Las Palmas" vs "168 Las Palmas" about 90
+const NAME_SCORE_FLOOR = 40;
+const NAME_SCORE_RANGE = 55;
+
+// Share of an email's name found in the deal name to count as an identifier match
+const NAME_MATCH_RECALL = 0.8;
+
+// Points for each address component compared against the deal's address
+const ADDRESS_COMPONENT_POINTS = {
+  houseNumber: { match: 5, mismatch: -25 },
+  street: { match: 5, mismatch: -15 },
+  unit: { match: 5, mismatch: -10 },
+  zip: { match: 5, mismatch: -10 },
+};
+
+// Pass a breakdown array to collect each scoring step as { reason, points }
+function scoreMatch(matchType, matchValue, deal, parsed, breakdown = []) {
   let score = 0;
-  const cleanMatch = (matchValue || '').split('\n')[0].trim().toLowerCase();
 
   if (matchType === 'loan_number') {
     score = 100;
+    breakdown.push({ reason: 'loan number match', points: 100 });
+  } else if (matchType === 'learned_rule') {
+    score = LEARNED_RULE_CONFIDENCE;
+    breakdown.push({ reason: 'rule learned from a correction for this sender', points: LEARNED_RULE_CONFIDENCE });
   } else if (matchType === 'deal_name') {
-    score = 85;
-    const dealName = (deal.properties.dealname || '').toLowerCase();
-    if (dealName === cleanMatch) score = 95;
-    else if (dealName.includes(cleanMatch)) score = 90;
+    // Best of deal name and full_address (name searches fall back to the address)
+    const { similarity, recall, precision, numberConflict } = [deal.properties.dealname, deal.properties.full_address]
+      .map(target => compareNames(matchValue, target))
+      .reduce((best, r) => (r.similarity > best.similarity ? r : best));
+    score = Math.round(NAME_SCORE_FLOOR + NAME_SCORE_RANGE * similarity);
+    breakdown.push({
+      reason: `deal name similarity ${similarity.toFixed(2)} (recall ${recall.toFixed(2)}, precision ${precision.toFixed(2)}${numberConflict ? ', number conflict' : ''})`,
+      points: score,
+    });
   } else if (matchType === 'address') {
     score = 80;
-    const fullAddress = (deal.properties.full_address || '').toLowerCase();
-    const dealName = (deal.properties.dealname || '').toLowerCase();
-    const streetNum = cleanMatch.match(/^(\d+)/);
-    if (streetNum && (fullAddress.includes(streetNum[1]) || dealName.includes(streetNum[1]))) {
-      score += 5;
+    breakdown.push({ reason: 'address search hit', points: 80 });
+    // Deals without full_address are often named after the property
+    const dealAddress = normalizeAddress(deal.properties.full_address || deal.properties.dealname);
+    const comparison = compareAddresses(normalizeAddress(matchValue), dealAddress);
+    for (const [component, result] of Object.entries(comparison)) {
+      const points = ADDRESS_COMPONENT_POINTS[component][result];
+      if (!points) continue;
+      score += points;
+      breakdown.push({ reason: `${component} ${result}`, points });
     }
-    if (cleanMatch.length > 25) score += 5;
+  }
+
+  // Bonus for emails from a known sender (servicer, title company, ...)
+  if (matchType !== 'loan_number' && matchType !== 'learned_rule' && parsed.sender?.scoreBonus) {
+    score += parsed.sender.scoreBonus;
+    breakdown.push({ reason: `known sender ${parsed.sender.name}`, points: parsed.sender.scoreBonus });
   }
 
   // Bonus for multiple identifier matches
@@ -248,31 +334,135 @@ function scoreMatch(matchType, matchValue, deal, parsed) {
   let matchCount = 0;
 
   if (parsed.loanNumbers.some(ln => loanNumber.toLowerCase().includes(ln.toLowerCase()))) matchCount++;
-  if (parsed.dealNames.some(dn => dealName.toLowerCase().includes(dn.toLowerCase()))) matchCount++;
-  if (parsed.addresses.some(addr => fullAddress.toLowerCase().includes(addr.toLowerCase()))) matchCount++;
+  if (parsed.dealNames.some(dn => compareNames(dn, dealName).recall >= NAME_MATCH_RECALL)) matchCount++;
+  if (parsed.addresses.some(addr => isSameAddress(addr, fullAddress))) matchCount++;
 
-  if (matchCount > 1) score += (matchCount - 1) * 10;
+  if (matchCount > 1) {
+    score += (matchCount - 1) * 10;
+    breakdown.push({ reason: `${matchCount} identifier types match deal`, points: (matchCount - 1) * 10 });
+  }
 
+  if (score > 100) breakdown.push({ reason: 'capped at 100', points: 100 - score });
   return Math.min(score, 100);
 }
 
 // --- HubSpot API calls ---
 
-async function getEmail(apiKey, emailId) {
-  return hubspotRequest(apiKey, `/crm/v3/objects/emails/${emailId}?properties=hs_email_subject,hs_email_text,hs_email_html,hs_timestamp`);
+export const EMAIL_PROPERTIES = [
+  'hs_email_subject', 'hs_email_text', 'hs_email_html', 'hs_timestamp', 'hs_attachment_ids',
+  'hs_email_thread_id', 'hs_email_headers', 'hs_email_from_email',
+];
+
+export async function getEmail(apiKey, emailId) {
+  return hubspotRequest(apiKey, `/crm/v3/objects/emails/${emailId}?properties=${EMAIL_PROPERTIES.join(',')}`);
+}
+
+// Map of email ID -> associated deal IDs (emails without deals are omitted)
+export async function getEmailDealAssociations(apiKey, emailIds) {
+  return batchReadAssociations(apiKey, 'emails', 'deals', emailIds);
+}
+
+// Message-IDs from In-Reply-To / References in hs_email_headers, which may be
+// an object ({ inReplyTo, references }) or a list of { name, value }
+function parseReferencedMessageIds(headersJson) {
+  let headers;
+  try {
+    headers = JSON.parse(headersJson || 'null');
+  } catch {
+    return [];
+  }
+  if (!headers) return [];
+
+  const entries = Array.isArray(headers)
+    ? headers.map(h => [h.name || '', h.value || ''])
+    : Object.entries(headers);
+  const values = entries
+    .filter(([name]) => /^(in-?reply-?to|references)$/i.test(name.replace(/_/g, '-')))
+    .map(([, value]) => (Array.isArray(value) ? value.join(' ') : String(value)));
+
+  return [...new Set(values.join(' ').match(/<[^>]+>/g) || [])];
 }
 
-async function searchDealsByLoanNumber(apiKey, loanNumber) {
+// Earlier emails in the same thread, most recent first. Uses the HubSpot
+// thread ID when set, else the In-Reply-To / References message IDs.
+async function searchEarlierThreadEmails(apiKey, email) {
+  const threadId = email.properties.hs_email_thread_id;
+  let filters;
+  if (threadId) {
+    filters = [{ propertyName: 'hs_email_thread_id', operator: 'EQ', value: threadId }];
+  } else {
+    const messageIds = parseReferencedMessageIds(email.properties.hs_email_headers);
+    if (messageIds.length === 0) return { lookup: null, emails: [] };
+    filters = [{ propertyName: 'hs_email_message_id', operator: 'IN', values: messageIds }];
+  }
+
+  const data = await hubspotRequest(apiKey, '/crm/v3/objects/emails/search', {
+    method: 'POST',
+    body: JSON.stringify({
+      filterGroups: [{ filters }],
+      properties: ['hs_timestamp'],
+      sorts: [{ propertyName: 'hs_timestamp', direction: 'DESCENDING' }],
+      limit: 20
+    })
+  });
+
+  const before = Date.parse(email.properties.hs_timestamp) || Infinity;
+  const emails = (data.results || []).filter(e =>
+    String(e.id) !== String(email.id) && Date.parse(e.properties.hs_timestamp) < before
+  );
+  return { lookup: filters[0], emails };
+}
+
+// Signed download URL plus name, extension, type and size
+async function getFileSignedUrl(apiKey, fileId) {
+  return hubspotRequest(apiKey, `/files/v3/files/${fileId}/signed-url`);
+}
+
+// Text of the email's PDF/CSV/plain-text attachments, within the size,
+// count and time limits. Unreadable attachments are logged and skipped.
+async function loadAttachmentTexts(apiKey, email) {
+  const fileIds = (email.properties.hs_attachment_ids || '').split(';').filter(Boolean);
+  const deadline = Date.now() + ATTACHMENT_TIME_BUDGET_MS;
+  const attachments = [];
+
+  for (const fileId of fileIds.slice(0, MAX_ATTACHMENTS)) {
+    if (Date.now() > deadline) {
+      console.log(`Attachment time budget reached, skipping remaining attachments`);
+      break;
+    }
+    try {
+      const file = await getFileSignedUrl(apiKey, fileId);
+      const name = file.extension ? `${file.name}.${file.extension}` : file.name;
+      const kind = attachmentKind(name, file.type);
+      if (!kind) continue;
+      if (file.size > MAX_ATTACHMENT_BYTES) {
+        console.log(`Skipping attachment ${name} (${file.size} bytes)`);
+        continue;
+      }
+
+      // Bounded by what is left of the budget, so one slow download can't overrun it
+      const resp = await fetch(file.url, { signal: AbortSignal.timeout(Math.max(deadline - Date.now(), 1)) });
+      if (!resp.ok) throw new Error(`download failed (${resp.status})`);
+      const text = await extractAttachmentText(kind, await resp.arrayBuffer());
+      attachments.push({ name, text });
+    } catch (error) {
+      console.warn(`Could not read attachment ${fileId}: ${error.message}`);
+    }
+  }
+
+  return attachments;
+}
+
+async function searchDealsByLoanNumber(apiKey, loanNumber, properties = LOAN_NUMBER_PROPERTIES) {
   // Search across loan_number, servicer A-piece, and servicer B-piece fields
+  // (or just the one a known sender uses)
   const data = await hubspotRequest(apiKey, '/crm/v3/objects/deals/search', {
     method: 'POST',
     body: JSON.stringify({
-      filterGroups: [
-        { filters: [{ propertyName: 'loan_number', operator: 'CONTAINS_TOKEN', value: loanNumber }] },
-        { filters: [{ propertyName: 'loan_number__servicer_', operator: 'CONTAINS_TOKEN', value: loanNumber }] },
-        { filters: [{ propertyName: 'loan_number__b_piece_servicer_', operator: 'CONTAINS_TOKEN', value: loanNumber }] },
-      ],
-      properties: ['loan_number', 'loan_number__servicer_', 'loan_number__b_piece_servicer_', 'dealname', 'dealstage', 'full_address'],
+      filterGroups: properties.map(propertyName => ({
+        filters: [{ propertyName, operator: 'CONTAINS_TOKEN', value: loanNumber }]
+      })),
+      properties: ['loan_number', 'loan_number__servicer_', 'loan_number__b_piece_servicer_', 'dealname', 'dealstage', 'pipeline', 'full_address'],
       limit: 20
     })
   });
@@ -284,63 +474,210 @@ async function searchDealsByField(apiKey, fieldName, value) {
     method: 'POST',
     body: JSON.stringify({
       filterGroups: [{ filters: [{ propertyName: fieldName, operator: 'CONTAINS_TOKEN', value }] }],
-      properties: ['dealname', 'loan_number', 'full_address', 'dealstage'],
+      properties: ['dealname', 'loan_number', 'full_address', 'dealstage', 'pipeline'],
       limit: 20
     })
   });
   return data.results || [];
 }
 
-async function getEmailContactAssociations(apiKey, emailId) {
-  try {
-    const data = await hubspotRequest(apiKey, `/crm/v4/objects/emails/${emailId}/associations/contacts`);
-    return data.results || [];
-  } catch (error) {
-    if (error.message.includes('404')) return [];
-    throw error;
-  }
+async function batchGetDeals(apiKey, dealIds) {
+  return batchRead(apiKey, 'deals', dealIds, ['dealname', 'loan_number', 'full_address', 'dealstage', 'pipeline']);
 }
 
-async function getContactDealAssociations(apiKey, contactId) {
-  try {
-    const data = await hubspotRequest(apiKey, `/crm/v4/objects/contacts/${contactId}/associations/deals`);
-    return data.results || [];
-  } catch (error) {
-    if (error.message.includes('404')) return [];
-    throw error;
-  }
+export async function associateEmailToDeal(apiKey, emailId, dealId) {
+  return hubspotRequest(apiKey, `/crm/v4/objects/emails/${emailId}/associations/deals/${dealId}`, {
+    method: 'PUT',
+    body: JSON.stringify([{ associationCategory: "HUBSPOT_DEFINED", associationTypeId: 210 }])
+  });
 }
 
-async function batchGetDeals(apiKey, dealIds) {
-  const data = await hubspotRequest(apiKey, '/crm/v3/objects/deals/batch/read', {
-    method: 'POST',
+// Custom email properties (see DOCUMENTATION.md) saying why the email was
+// associated. With several deals (multi-deal mode) the types and values are
+// listed and the confidence is the lowest one, so low-confidence filters
+// still catch the email.
+export const PROVENANCE_PROPERTIES = {
+  matchType: 'email_sync_match_type',
+  matchValue: 'email_sync_match_value',
+  confidence: 'email_sync_confidence',
+  version: 'email_sync_version',
+};
+
+export async function writeMatchProvenance(apiKey, emailId, matches) {
+  const unique = values => [...new Set(values.map(String))].join('; ');
+  await hubspotRequest(apiKey, `/crm/v3/objects/emails/${emailId}`, {
+    method: 'PATCH',
     body: JSON.stringify({
-      properties: ['dealname', 'loan_number', 'full_address', 'dealstage'],
-      inputs: dealIds.map(id => ({ id }))
+      properties: {
+        [PROVENANCE_PROPERTIES.matchType]: unique(matches.map(m => m.matchType)),
+        [PROVENANCE_PROPERTIES.matchValue]: unique(matches.map(m => m.matchValue)).slice(0, 500),
+        [PROVENANCE_PROPERTIES.confidence]: Math.min(...matches.map(m => m.confidence)),
+        [PROVENANCE_PROPERTIES.version]: SYNC_VERSION,
+      }
     })
   });
-  return data.results || [];
 }
 
-async function associateEmailToDeal(apiKey, emailId, dealId) {
-  return hubspotRequest(apiKey, `/crm/v4/objects/emails/${emailId}/associations/deals/${dealId}`, {
-    method: 'PUT',
-    body: JSON.stringify([{ associationCategory: "HUBSPOT_DEFINED", associationTypeId: 210 }])
-  });
+// --- Main matching logic ---
+
+// Keep the best-scoring candidate per deal, highest score first
+function rankCandidates(candidates, parsed) {
+  const best = new Map();
+  for (const c of candidates) {
+    if (!isTargetStage(c.deal)) continue;
+    const breakdown = [];
+    let score = scoreMatch(c.matchType, c.matchValue, c.deal, parsed, breakdown);
+    if (c.lowWeight) {
+      const { points, reason } = LOW_WEIGHT_PENALTIES[c.lowWeight];
+      score = Math.max(0, score - points);
+      breakdown.push({ reason, points: -points });
+    }
+    const scored = { ...c, score, breakdown };
+    const existing = best.get(c.deal.id);
+    if (!existing || scored.score > existing.score) best.set(c.deal.id, scored);
+  }
+  return [...best.values()].sort((a, b) => b.score - a.score);
 }
 
-// --- Main matching logic ---
+export function summarizeCandidate(c) {
+  return {
+    dealId: c.deal.id,
+    dealName: c.deal.properties.dealname,
+    dealstage: c.deal.properties.dealstage,
+    matchType: c.matchType,
+    matchValue: c.matchValue,
+    score: c.score,
+  };
+}
+
+// In multi-deal mode: the first target deal for each loan number or learned
+// rule (quoted or signature ones only if they still clear the threshold), plus
+// the best deal for each address that clears the threshold without a tie
+function collectMultiMatches(loanMatches, scored) {
+  const matches = [...loanMatches];
+  const byIdentifier = scored.filter(c => ['loan_number', 'learned_rule'].includes(c.matchType) && c.score >= CONFIDENCE_THRESHOLD);
+  for (const c of byIdentifier) {
+    matches.push({ deal: c.deal, confidence: c.score, matchType: c.matchType, matchValue: c.matchValue, lowWeight: c.lowWeight, ...(c.rule ? { rule: c.rule } : {}) });
+  }
+  const byAddress = new Map();
+  for (const c of scored.filter(c => c.matchType === 'address')) {
+    if (!byAddress.has(c.matchValue)) byAddress.set(c.matchValue, []);
+    byAddress.get(c.matchValue).push(c);
+  }
+  for (const [top, runnerUp] of byAddress.values()) {
+    if (top.score < CONFIDENCE_THRESHOLD) continue;
+    if (runnerUp && top.score - runnerUp.score <= AMBIGUITY_MARGIN) continue;
+    matches.push({ deal: top.deal, confidence: top.score, matchType: top.matchType, matchValue: top.matchValue, lowWeight: top.lowWeight });
+  }
+
+  const seen = new Set();
+  return matches
+    .filter(m => !seen.has(m.deal.id) && seen.add(m.deal.id))
+    .slice(0, MAX_DEALS_PER_EMAIL);
+}
+
+// A missing, stale or unreadable index just means every lookup goes to HubSpot
+async function loadDealIndexForMatching() {
+  try {
+    return await loadDealIndex();
+  } catch (error) {
+    console.warn(`Deal index unavailable, using live search: ${error.message}`);
+    return null;
+  }
+}
+
+// Deals named by rules learned from manual corrections for this sender and
+// any of the parsed identifiers (target stages only)
+async function findLearnedMatches(apiKey, parsed, trace = null) {
+  let rules;
+  try {
+    rules = await findRulesFor(parsed.fromEmail, parsed);
+  } catch (error) {
+    console.warn(`Learned rules unavailable: ${error.message}`);
+    return [];
+  }
+  if (rules.length === 0) return [];
+
+  const deals = new Map(
+    (await batchGetDeals(apiKey, rules.map(r => r.dealId))).filter(isTargetStage).map(d => [String(d.id), d])
+  );
+  trace?.searches.push({
+    type: 'learned_rule', field: 'sender+identifier', value: parsed.fromEmail, source: 'rules',
+    results: rules.length, targetStageResults: deals.size,
+  });
+
+  const matches = [];
+  for (const rule of rules) {
+    const deal = deals.get(rule.dealId);
+    if (!deal || matches.some(m => m.deal.id === deal.id)) continue;
+    const lowWeight = lowWeightSource(parsed, IDENTIFIER_KEYS[rule.identifierType], rule.matchValue);
+    matches.push({ deal, confidence: LEARNED_RULE_CONFIDENCE, matchType: 'learned_rule', matchValue: rule.matchValue, rule, lowWeight });
+  }
+  return matches;
+}
 
-async function findMatch(apiKey, parsed) {
+// Returns { match, matches, candidates, ambiguous }. match is null when nothing
+// clears the threshold or when the top two deals are within AMBIGUITY_MARGIN.
+// matches lists every deal to associate (more than one only in multi mode).
+// Pass a trace ({ searches: [] }) to record every search made.
+export async function findMatch(apiKey, parsed, trace = null, { multi = MULTI_DEAL_MODE } = {}) {
   const candidates = [];
+  const loanMatches = [];
+  const index = await loadDealIndexForMatching();
+  const record = (type, field, value, deals, source = 'hubspot') => {
+    trace?.searches.push({
+      type, field, value, source,
+      results: deals.length,
+      targetStageResults: deals.filter(isTargetStage).length,
+    });
+  };
+
+  // 0. Rules learned from manual corrections come first. Rules that
+  // disagree with each other are ignored and normal matching decides. A rule
+  // on an identifier only seen in quoted text or the signature is scored
+  // with the other candidates instead.
+  const learned = await findLearnedMatches(apiKey, parsed, trace);
+  const ownRules = learned.filter(m => !m.lowWeight);
+  if (ownRules.length === 1 && !multi) {
+    return { match: ownRules[0], matches: ownRules, candidates: [], ambiguous: false };
+  }
+  if (multi) loanMatches.push(...ownRules);
+  for (const { deal, matchType, matchValue, rule, lowWeight } of learned.filter(m => m.lowWeight)) {
+    candidates.push({ deal, matchType, matchValue, rule, lowWeight });
+  }
+
+  // Each identifier is looked up in the local deal index first; HubSpot is
+  // only searched when the index has no target-stage deal for it
 
-  // 1. Search by loan number (highest priority, 100% confidence)
+  // 1. Search by loan number (highest priority, 100% confidence). A loan
+  // number only seen in quoted history or the signature is scored with the
+  // other candidates.
   if (parsed.loanNumbers.length > 0) {
     for (const ln of parsed.loanNumbers) {
-      const deals = await searchDealsByLoanNumber(apiKey, ln);
+      // Known senders search their own loan-number field first
+      const senderProperty = parsed.sender?.loanNumberProperty;
+      let deals = [];
+      if (index) {
+        const properties = senderProperty ? [senderProperty, ...LOAN_NUMBER_PROPERTIES] : LOAN_NUMBER_PROPERTIES;
+        deals = index.findByLoanNumber(ln, properties);
+        record('loan_number', LOAN_NUMBER_PROPERTIES.join('|'), ln, deals, 'index');
+      }
+      if (senderProperty && !deals.some(isTargetStage)) {
+        deals = await searchDealsByLoanNumber(apiKey, ln, [senderProperty]);
+        record('loan_number', senderProperty, ln, deals);
+      }
+      if (!deals.some(isTargetStage)) {
+        deals = await searchDealsByLoanNumber(apiKey, ln);
+        record('loan_number', LOAN_NUMBER_PROPERTIES.join('|'), ln, deals);
+      }
       const targetDeals = deals.filter(isTargetStage);
-      if (targetDeals.length > 0) {
-        return { deal: targetDeals[0], confidence: 100, matchType: 'loan_number' };
+      const lowWeight = lowWeightSource(parsed, 'loanNumbers', ln);
+      if (targetDeals.length > 0 && lowWeight) {
+        candidates.push({ deal: targetDeals[0], matchType: 'loan_number', matchValue: ln, lowWeight });
+      } else if (targetDeals.length > 0) {
+        const match = { deal: targetDeals[0], confidence: 100, matchType: 'loan_number', matchValue: ln };
+        if (!multi) return { match, matches: [match], candidates: [], ambiguous: false };
+        loanMatches.push(match);
       }
     }
   }
@@ -350,12 +687,22 @@ async function findMatch(apiKey, parsed) {
     for (const name of parsed.dealNames) {
       const cleanName = cleanSearchValue(name);
       if (!cleanName || cleanName.length < 3) continue;
-      await sleep(150);
-      let deals = await searchDealsByField(apiKey, 'dealname', cleanName);
-      if (deals.length === 0) {
-        deals = await searchDealsByField(apiKey, 'full_address', cleanName);
+      let deals = [];
+      if (index) {
+        deals = index.findByName(cleanName);
+        record('deal_name', 'dealname|full_address', cleanName, deals, 'index');
+      }
+      if (!deals.some(isTargetStage)) {
+        await sleep(150);
+        deals = await searchDealsByField(apiKey, 'dealname', cleanName);
+        record('deal_name', 'dealname', cleanName, deals);
+        if (deals.length === 0) {
+          deals = await searchDealsByField(apiKey, 'full_address', cleanName);
+          record('deal_name', 'full_address', cleanName, deals);
+        }
       }
-      candidates.push(...deals.map(d => ({ deal: d, matchType: 'deal_name', matchValue: cleanName })));
+      const lowWeight = lowWeightSource(parsed, 'dealNames', name);
+      candidates.push(...deals.map(d => ({ deal: d, matchType: 'deal_name', matchValue: cleanName, lowWeight })));
     }
   }
 
@@ -365,43 +712,63 @@ async function findMatch(apiKey, parsed) {
       const cleanAddr = cleanSearchValue(addr);
       if (!cleanAddr || cleanAddr.length < 5) continue;
       const streetPart = extractStreetCore(cleanAddr);
-      await sleep(150);
-      let deals = await searchDealsByField(apiKey, 'full_address', streetPart || cleanAddr);
-      if (deals.length === 0) {
-        deals = await searchDealsByField(apiKey, 'dealname', streetPart || cleanAddr);
+      let deals = [];
+      if (index) {
+        deals = index.findByAddress(cleanAddr);
+        record('address', 'full_address|dealname', cleanAddr, deals, 'index');
+      }
+      if (!deals.some(isTargetStage)) {
+        await sleep(150);
+        deals = await searchDealsByField(apiKey, 'full_address', streetPart || cleanAddr);
+        record('address', 'full_address', streetPart || cleanAddr, deals);
+        if (deals.length === 0) {
+          deals = await searchDealsByField(apiKey, 'dealname', streetPart || cleanAddr);
+          record('address', 'dealname', streetPart || cleanAddr, deals);
+        }
       }
-      candidates.push(...deals.map(d => ({ deal: d, matchType: 'address', matchValue: addr })));
+      const lowWeight = lowWeightSource(parsed, 'addresses', addr);
+      candidates.push(...deals.map(d => ({ deal: d, matchType: 'address', matchValue: addr, lowWeight })));
     }
   }
 
   // Score and pick best
-  const scored = candidates
-    .filter(c => isTargetStage(c.deal))
-    .map(c => ({ ...c, score: scoreMatch(c.matchType, c.matchValue, c.deal, parsed) }))
-    .sort((a, b) => b.score - a.score);
+  const scored = rankCandidates(candidates, parsed);
 
-  if (scored.length > 0 && scored[0].score >= CONFIDENCE_THRESHOLD) {
-    return { deal: scored[0].deal, confidence: scored[0].score, matchType: scored[0].matchType };
+  if (multi) {
+    const matches = collectMultiMatches(loanMatches, scored);
+    if (matches.length > 0) return { match: matches[0], matches, candidates: scored, ambiguous: false };
   }
 
-  return null;
+  const [top, runnerUp] = scored;
+
+  if (top && top.score >= CONFIDENCE_THRESHOLD) {
+    if (runnerUp && top.score - runnerUp.score <= AMBIGUITY_MARGIN) {
+      return { match: null, matches: [], candidates: scored, ambiguous: true };
+    }
+    const match = { deal: top.deal, confidence: top.score, matchType: top.matchType, matchValue: top.matchValue, lowWeight: top.lowWeight, ...(top.rule ? { rule: top.rule } : {}) };
+    return { match, matches: [match], candidates: scored, ambiguous: false };
+  }
+
+  return { match: null, matches: [], candidates: scored, ambiguous: false };
 }
 
 // Fallback: if the email's contact has exactly one deal, use it
-async function fallbackSingleContactDeal(apiKey, emailId) {
+export async function fallbackSingleContactDeal(apiKey, emailId, trace = null) {
   try {
-    const contactAssocs = await getEmailContactAssociations(apiKey, emailId);
+    const contactAssocs = await getAssociations(apiKey, 'emails', emailId, 'contacts');
+    trace?.searches.push({ type: 'single_contact_deal', field: 'email->contacts', value: String(emailId), results: contactAssocs.length });
     if (contactAssocs.length === 0) return null;
 
     for (const assoc of contactAssocs) {
       const contactId = assoc.toObjectId;
-      const dealAssocs = await getContactDealAssociations(apiKey, contactId);
+      const dealAssocs = await getAssociations(apiKey, 'contacts', contactId, 'deals');
+      trace?.searches.push({ type: 'single_contact_deal', field: 'contact->deals', value: String(contactId), results: dealAssocs.length });
 
       if (dealAssocs.length === 1) {
         const deals = await batchGetDeals(apiKey, [dealAssocs[0].toObjectId]);
         if (deals.length === 1) {
           console.log(`Fallback match: contact ${contactId} has exactly 1 deal (${deals[0].properties.dealname})`);
-          return { deal: deals[0], confidence: 100, matchType: 'single_contact_deal' };
+          return { deal: deals[0], confidence: 100, matchType: 'single_contact_deal', matchValue: String(contactId) };
         }
       } else if (dealAssocs.length > 1) {
         console.log(`Fallback skip: contact ${contactId} has ${dealAssocs.length} deals`);
@@ -415,10 +782,185 @@ async function fallbackSingleContactDeal(apiKey, emailId) {
   }
 }
 
+// Thread inheritance: the target-stage deal of the most recent earlier email
+// in the thread. Skipped when that email is on several target deals.
+async function findThreadMatch(apiKey, email, trace = null) {
+  try {
+    const { lookup, emails } = await searchEarlierThreadEmails(apiKey, email);
+    if (lookup) {
+      trace?.searches.push({ type: 'thread', field: lookup.propertyName, value: lookup.value || lookup.values.join(' '), results: emails.length });
+    }
+    if (emails.length === 0) return null;
+
+    const associations = await getEmailDealAssociations(apiKey, emails.map(e => e.id));
+    const dealIds = [...new Set([...associations.values()].flat())];
+    if (dealIds.length === 0) return null;
+
+    const targetDeals = new Map((await batchGetDeals(apiKey, dealIds)).filter(isTargetStage).map(d => [String(d.id), d]));
+
+    for (const earlier of emails) {
+      const deals = (associations.get(String(earlier.id)) || []).map(id => targetDeals.get(id)).filter(Boolean);
+      if (deals.length === 1) {
+        console.log(`Thread match: earlier email ${earlier.id} is on deal ${deals[0].properties.dealname}`);
+        return { deal: deals[0], confidence: THREAD_MATCH_CONFIDENCE, matchType: 'thread', matchValue: String(earlier.id) };
+      }
+      if (deals.length > 1) {
+        console.log(`Thread skip: earlier email ${earlier.id} is on ${deals.length} target deals`);
+        return null;
+      }
+    }
+    return null;
+  } catch (error) {
+    console.error(`Thread lookup error: ${error.message}`);
+    return null;
+  }
+}
+
+// Content matching first; content matches always win. Otherwise the thread's
+// deal (which may break a tie only if it is one of the tied deals), then the
+// single-contact fallback. Without an emailId (e.g. a dry run on pasted text)
+// thread and fallback are skipped; without the email record, thread is.
+export async function resolveMatch(apiKey, emailId, parsed, { trace = null, email = null } = {}) {
+  const result = await findMatch(apiKey, parsed, trace);
+  if (result.match || !emailId) return result;
+
+  const threadMatch = email ? await findThreadMatch(apiKey, email, trace) : null;
+  if (threadMatch && (!result.ambiguous || result.candidates.some(c => c.deal.id === threadMatch.deal.id))) {
+    return { ...result, match: threadMatch, matches: [threadMatch], ambiguous: false };
+  }
+  if (result.ambiguous) return result;
+
+  const fallback = await fallbackSingleContactDeal(apiKey, emailId, trace);
+  return { ...result, match: fallback, matches: fallback ? [fallback] : [] };
+}
+
+// --- Email pipeline ---
+
+// Look the sender up in the sender directory: adds its extra subject-line
+// loan-number patterns to parsed and records it as parsed.sender
+export function applySenderDirectory(parsed, subject, fromEmail) {
+  parsed.fromEmail = fromEmail ? fromEmail.toLowerCase() : null;
+  const sender = lookupSender(matchingConfig.senders, fromEmail);
+  if (!sender) return parsed;
+
+  const extra = { loanNumbers: [], addresses: [], dealNames: [], sources: { loanNumbers: {}, addresses: {}, dealNames: {} } };
+  for (const pattern of sender.subjectPatterns) {
+    for (const match of (subject || '').matchAll(new RegExp(pattern))) {
+      if (!extra.loanNumbers.includes(match[1])) extra.loanNumbers.push(match[1]);
+      extra.sources.loanNumbers[match[1]] = ['email'];
+    }
+  }
+  mergeParsed(parsed, extra);
+
+  parsed.sender = {
+    name: sender.name,
+    type: sender.type,
+    loanNumberProperty: sender.loanNumberProperty,
+    scoreBonus: sender.scoreBonus,
+  };
+  console.log(`Sender ${fromEmail} is ${sender.name} (${sender.type})`);
+  return parsed;
+}
+
+// Parse an email record's subject/body, plus its attachments when the body
+// has no loan number outside quoted text and signature (servicer
+// statements) or in multi-deal mode
+export async function parseEmailRecord(apiKey, email) {
+  const subject = email.properties.hs_email_subject || '';
+  const parsed = applySenderDirectory(
+    parseEmailContent(subject, { text: email.properties.hs_email_text, html: email.properties.hs_email_html }),
+    subject,
+    email.properties.hs_email_from_email
+  );
+
+  const hasOwnLoanNumber = parsed.loanNumbers.some(ln => !lowWeightSource(parsed, 'loanNumbers', ln));
+  if (email.properties.hs_attachment_ids && (!hasOwnLoanNumber || MULTI_DEAL_MODE)) {
+    const attachments = await loadAttachmentTexts(apiKey, email);
+    for (const a of attachments) mergeParsed(parsed, parseEmail('', a.text, `attachment:${a.name}`));
+    if (attachments.length > 0) console.log(`Read ${attachments.length} attachment(s)`);
+  }
+
+  return { subject, parsed };
+}
+
+// Parse, match and associate one email. Low-confidence or tied emails go to
+// the review queue. With reportOnly nothing is written to HubSpot or the queue.
+// Pass a preloaded email (with subject/text/html properties) to skip the fetch.
+export async function processEmail(apiKey, emailId, { email = null, reportOnly = false } = {}) {
+  if (!email) email = await getEmail(apiKey, emailId);
+
+  // Parse email content
+  const { subject, parsed } = await parseEmailRecord(apiKey, email);
+  console.log(`Parsed: ${parsed.loanNumbers.length} loan#, ${parsed.addresses.length} addr, ${parsed.dealNames.length} names`);
+
+  // Content-based matching, then single deal on contact
+  const { match, matches, candidates, ambiguous } = await resolveMatch(apiKey, emailId, parsed, { email });
+
+  if (match) {
+    if (!reportOnly) {
+      // Remembered so a later manual move of this email can be learned from
+      await recordSyncDecision({
+        emailId, fromEmail: parsed.fromEmail, matches,
+      }).catch(err => console.warn(`Failed to record sync decision: ${err.message}`));
+      for (const m of matches.filter(m => m.rule)) {
+        await recordRuleHit(m.rule).catch(err => console.warn(`Failed to record rule hit: ${err.message}`));
+      }
+    }
+    for (const m of matches) {
+      console.log(`${reportOnly ? 'Would match' : 'Matched'} email ${emailId} to deal ${m.deal.properties.dealname} (${m.confidence}% via ${m.matchType})`);
+      if (!reportOnly) await associateEmailToDeal(apiKey, emailId, m.deal.id);
+    }
+    if (!reportOnly) {
+      // The association stands even if the properties are missing in the portal
+      await writeMatchProvenance(apiKey, emailId, matches)
+        .catch(err => console.warn(`Failed to write match provenance for email ${emailId}: ${err.message}`));
+    }
+    return {
+      emailId,
+      status: 'matched',
+      dealId: match.deal.id,
+      dealName: match.deal.properties.dealname,
+      dealstage: match.deal.properties.dealstage,
+      confidence: match.confidence,
+      matchType: match.matchType,
+      subject,
+      ...(MULTI_DEAL_MODE ? {
+        deals: matches.map(m => ({
+          dealId: m.deal.id,
+          dealName: m.deal.properties.dealname,
+          confidence: m.confidence,
+          matchType: m.matchType,
+          matchValue: m.matchValue,
+        })),
+      } : {}),
+      success: true
+    };
+  }
+
+  if (candidates.length > 0) {
+    const reason = ambiguous ? 'ambiguous' : 'low_confidence';
+    console.log(`No confident match for email ${emailId} (${reason})${reportOnly ? '' : ', queued for review'}`);
+    if (!reportOnly) {
+      await addToReviewQueue({
+        emailId: String(emailId),
+        subject,
+        reason,
+        parsed,
+        candidates: candidates.map(summarizeCandidate),
+      });
+    }
+    return { emailId, status: 'review', reason, subject };
+  }
+
+  console.log(`No match found for email ${emailId}`);
+  return { emailId, status: 'unmatched', subject };
+}
+
 // --- Main handler ---
 
 export async function handler(event) {
   console.log('Email sync function triggered');
+  connectBlobs(event);
 
   // Handle GET requests (webhook verification)
   if (event.httpMethod === 'GET') {
@@ -428,6 +970,9 @@ export async function handler(event) {
   // Handle POST requests (webhook events)
   if (event.httpMethod === 'POST') {
     try {
+      const verification = await verifyHubSpotSignature(event);
+      if (!verification.valid) return unauthorizedResponse(verification.reason);
+
       const apiKey = process.env.HUBSPOT_API_KEY;
       if (!apiKey) {
         return { statusCode: 500, body: JSON.stringify({ error: 'HUBSPOT_API_KEY not configured' }) };
@@ -435,6 +980,23 @@ export async function handler(event) {
 
       const events = JSON.parse(event.body);
 
+      // Email <-> deal association changes feed the learned rules
+      const associationChanges = events
+        .slice()
+        .sort((a, b) => (a.occurredAt || 0) - (b.occurredAt || 0))
+        .map(parseAssociationEvent)
+        .filter(Boolean);
+      let rulesLearned = 0;
+      for (const change of associationChanges) {
+        try {
+          const rules = await applyAssociationChange(change);
+          if (rules.length > 0) console.log(`Email ${change.emailId} corrected to deal ${change.dealId}: learned ${rules.length} rule(s)`);
+          rulesLearned += rules.length;
+        } catch (error) {
+          console.error(`Failed to apply association change for email ${change.emailId}: ${error.message}`);
+        }
+      }
+
       // Deduplicate: only process each email ID once per batch
       const seen = new Set();
       const uniqueEvents = events.filter(evt => {
@@ -452,59 +1014,17 @@ export async function handler(event) {
         return true;
       });
 
-      console.log(`Processing ${uniqueEvents.length} unique events (${events.length - uniqueEvents.length} filtered/dupes)`);
-
-      const results = [];
+      // Queue and return right away; the queue worker does the HubSpot work
+      const queued = await enqueueEmails(uniqueEvents);
+      console.log(`Queued ${queued} emails (${events.length - uniqueEvents.length} filtered/dupes, ${uniqueEvents.length - queued} already pending)`);
 
-      for (const evt of uniqueEvents) {
-        const emailId = evt.objectId;
-
-        try {
-          console.log(`Processing email ${emailId}`);
-
-          // Get email details
-          const email = await getEmail(apiKey, emailId);
-          const subject = email.properties.hs_email_subject || '';
-          const body = email.properties.hs_email_text || email.properties.hs_email_html || '';
-
-          // Parse email content
-          const parsed = parseEmail(subject, body);
-          console.log(`Parsed: ${parsed.loanNumbers.length} loan#, ${parsed.addresses.length} addr, ${parsed.dealNames.length} names`);
-
-          // Try content-based matching
-          let match = await findMatch(apiKey, parsed);
-
-          // Fallback: single deal on contact
-          if (!match) {
-            match = await fallbackSingleContactDeal(apiKey, emailId);
-          }
-
-          if (match) {
-            console.log(`Matched email ${emailId} to deal ${match.deal.properties.dealname} (${match.confidence}% via ${match.matchType})`);
-            await associateEmailToDeal(apiKey, emailId, match.deal.id);
-            results.push({
-              emailId,
-              dealId: match.deal.id,
-              dealName: match.deal.properties.dealname,
-              confidence: match.confidence,
-              matchType: match.matchType,
-              success: true
-            });
-          } else {
-            console.log(`No match found for email ${emailId}`);
-          }
-
-          // Throttle between events
-          await sleep(200);
-
-        } catch (error) {
-          console.error(`Error processing email ${emailId}: ${error.message}`);
-        }
+      if (uniqueEvents.length > 0) {
+        await startQueueWorker().catch(err => console.error(`Failed to start queue worker: ${err.message}`));
       }
 
       return {
         statusCode: 200,
-        body: JSON.stringify({ success: true, processed: results.length, results })
+        body: JSON.stringify({ success: true, queued, rulesLearned })
       };
 
     } catch (error) {
@@ -0,0 +1,41 @@
+/**
+ * Netlify Function: Feasibility Summary History
+ *
+ * GET /webhooks/feasibility-summary/history?dealId=123[&limit=20]
+ *   -> the deal's risk assessment versions, newest first, each with the
+ *      model, prompt version and input hash it was generated with and what
+ *      changed since the version before it
+ *
+ * Requires `Authorization: Bearer <OPS_API_TOKEN>`.
+ */
+
+import { connectBlobs } from '../lib/store.js';
+import { json } from '../lib/http.js';
+import { isOpsRequestAuthorized, opsUnauthorizedResponse } from '../lib/ops-auth.js';
+import { listVersions } from '../lib/feasibility-history.js';
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+export async function handler(event) {
+  connectBlobs(event);
+  if (!isOpsRequestAuthorized(event)) return opsUnauthorizedResponse();
+
+  if (event.httpMethod !== 'GET') {
+    return { statusCode: 405, body: 'Method not allowed' };
+  }
+
+  const params = event.queryStringParameters || {};
+  if (!/^\d+$/.test(params.dealId || '')) {
+    return json(400, { error: 'dealId is required' });
+  }
+  const limit = Math.min(Number(params.limit) > 0 ? Number(params.limit) : DEFAULT_LIMIT, MAX_LIMIT);
+
+  try {
+    const versions = await listVersions(params.dealId, { limit });
+    return json(200, { dealId: params.dealId, count: versions.length, versions });
+  } catch (error) {
+    console.error('Error loading feasibility history:', error);
+    return json(500, { error: error.message });
+  }
+}
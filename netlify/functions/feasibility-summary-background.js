@@ -1,17 +1,41 @@
 /**
  * Netlify Background Function: Feasibility Summary
  *
- * Receives HubSpot webhook events when notes are created/updated,
- * fetches all notes + deal data, generates a risk summary via Claude,
- * and writes it back to the deal's feasibility_summary property.
+ * Receives HubSpot webhook events when notes are created or edited, when a
+ * note is attached to or removed from a deal, and for deal creation and
+ * changes to the configured trigger properties. Note events are mapped to
+ * the note's deals, and each deal is marked pending (lib/feasibility-queue.js).
+ * Once a deal has been quiet for a couple of minutes,
+ * feasibility-summary-worker-background fetches all notes + deal data, asks
+ * Claude for a structured risk assessment (risk level, risks, blocking items,
+ * narrative; see lib/feasibility-risk.js) and writes each part to its own
+ * deal property, with a hash of its inputs so an unchanged deal is skipped
+ * without calling Claude. Long note histories are fitted to a token budget:
+ * recent notes whole, older ones condensed (lib/feasibility-notes.js).
+ * Malformed assessments are retried, then rejected without writing
+ * anything. Every assessment is also kept as a version in
+ * lib/feasibility-history.js, with what changed since the previous one.
+ * Each run is logged for the operations dashboard.
  *
  * Background function (-background suffix) returns 202 immediately
  * and processes asynchronously (up to 15 min).
+ *
+ * Requests must carry a valid HubSpot v3 signature. Because Netlify has
+ * already answered 202, a failed check is logged and the events dropped;
+ * the 401 below only shows up in the function logs.
  */
 
+import crypto from 'node:crypto';
 import Anthropic from '@anthropic-ai/sdk';
-
-const HUBSPOT_API_BASE = 'https://api.hubapi.com';
+import { connectBlobs } from '../lib/store.js';
+import { recordFeasibilityRun } from '../lib/feasibility-runs.js';
+import { requestFeasibilityRefresh } from '../lib/feasibility-queue.js';
+import { loadFeasibilityConfig } from '../lib/feasibility-config.js';
+import { getLatestVersion, saveVersion } from '../lib/feasibility-history.js';
+import { NOTE_SEPARATOR, estimateTokens, fitNotesToBudget, truncateToTokens } from '../lib/feasibility-notes.js';
+import { RISK_ASSESSMENT_TOOL, riskAssessmentProperties, validateRiskAssessment } from '../lib/feasibility-risk.js';
+import { verifyHubSpotSignature, unauthorizedResponse } from '../lib/webhook-signature.js';
+import { batchRead, getAssociations, hubspotRequest } from '../lib/hubspot-client.js';
 
 const DEAL_PROPERTIES = [
   // Loan details
@@ -37,75 +61,60 @@ const DEAL_PROPERTIES = [
 
 const NOTE_PROPERTIES = ['hs_note_body', 'hs_timestamp', 'hs_created_by'];
 
-const SYSTEM_PROMPT = `You are a senior feasibility risk analyst in real estate lending. You review scope-of-work notes and deal data during loan underwriting and produce a concise, professional risk summary.
+// Hash of the formatted deal profile + notes the last summary was built from
+const INPUT_HASH_PROPERTY = 'feasibility_input_hash';
+
+// Deal properties whose changes trigger a new summary, from
+// netlify/config/feasibility-summary.json or FEASIBILITY_CONFIG
+const feasibilityConfig = loadFeasibilityConfig();
+
+// Bump when the prompt or output format changes; part of the input hash so
+// every deal is regenerated with the new prompt on its next event
+const PROMPT_VERSION = 4;
+
+const SYSTEM_PROMPT = `You are a senior feasibility risk analyst in real estate lending. You review scope-of-work notes and deal data during loan underwriting and produce a concise, professional risk assessment.
 
 You receive two inputs:
 1. DEAL PROFILE — structured data from the loan file (financials, property info, rehab budget, valuations)
-2. ANALYST NOTES — chronological raw notes from the feasibility analyst's scope-of-work review
+2. ANALYST NOTES — chronological raw notes from the feasibility analyst's scope-of-work review. On long files the earlier notes arrive as a condensed summary at the top; treat items in it as still open unless a later note resolves them
 
-Your output must be a concise paragraph (3-4 sentences max) that:
-- States the top risks and unresolved items from the notes and deal data
-- Flags key discrepancies (budget vs. scope, ARV variance, LTC, property classification)
-- Notes any items blocking feasibility order or requiring borrower action
-- Uses professional, direct language — no filler or preamble
+When the deal was assessed before, a third input follows: PREVIOUS ASSESSMENT — your last assessment of this deal.
 
-If no material risks are identified, state that in one sentence.
-Output ONLY the plain-text paragraph. No headers, bullets, markdown, or preamble.`;
+Record your assessment by calling the record_risk_assessment tool:
+- risk_level: the overall feasibility risk (low, moderate, high or critical)
+- risks: the top risks and unresolved items from the notes and deal data, each with a category and severity. Flag key discrepancies (budget vs. scope, ARV variance, LTC, property classification)
+- blocking_items: items blocking the feasibility order or requiring borrower action; empty if none
+- narrative: a concise paragraph (3-4 sentences max) summarizing the above in professional, direct language — no filler or preamble, no headers, bullets or markdown
+- changes_since_last: only when a PREVIOUS ASSESSMENT is given — 1-2 sentences on what changed since it (risks resolved or raised, blocking items cleared or added, risk level movement, and the new information behind it); say so if nothing material changed. The narrative itself still describes the deal as it stands now
 
-const MAX_INPUT_CHARS = 32000;
+If no material risks are identified, use risk_level low, no risks, and state that in one sentence in the narrative.`;
 
-// --- HubSpot API helpers ---
+// Malformed assessments are sent back with the problems this many times
+// before the run fails; nothing is written to the deal in that case
+const MAX_GENERATION_ATTEMPTS = 3;
 
-async function hubspotFetch(path, options = {}) {
-  const url = `${HUBSPOT_API_BASE}${path}`;
-  const headers = {
-    'Authorization': `Bearer ${process.env.HUBSPOT_API_KEY}`,
-    'Content-Type': 'application/json',
-    ...options.headers,
-  };
+// Estimated tokens for the deal profile, notes and previous assessment
+const MAX_INPUT_TOKENS = 10000;
 
-  for (let attempt = 0; attempt < 3; attempt++) {
-    const resp = await fetch(url, { ...options, headers });
-    if (resp.status === 429) {
-      const wait = Math.pow(2, attempt) * 1000;
-      console.log(`Rate limited, retrying in ${wait}ms`);
-      await new Promise(r => setTimeout(r, wait));
-      continue;
-    }
-    if (!resp.ok) {
-      const text = await resp.text();
-      throw new Error(`HubSpot API ${resp.status}: ${text}`);
-    }
-    return resp.json();
-  }
-  throw new Error('HubSpot API: max retries exceeded');
-}
+// --- HubSpot API helpers ---
 
 async function getDealIdsForEngagement(engagementId) {
-  const data = await hubspotFetch(
-    `/crm/v4/objects/notes/${engagementId}/associations/deals`
-  );
-  return (data.results || []).map(r => String(r.toObjectId));
+  const associations = await getAssociations(process.env.HUBSPOT_API_KEY, 'notes', engagementId, 'deals');
+  return associations.map(r => String(r.toObjectId));
 }
 
 async function getNotesForDeal(dealId) {
-  // Get note IDs associated with the deal
-  const assocData = await hubspotFetch(
-    `/crm/v4/objects/deals/${dealId}/associations/notes`
-  );
-  const noteIds = (assocData.results || []).map(r => String(r.toObjectId));
+  const apiKey = process.env.HUBSPOT_API_KEY;
+
+  // Get note IDs associated with the deal (every page)
+  const associations = await getAssociations(apiKey, 'deals', dealId, 'notes');
+  const noteIds = associations.map(r => String(r.toObjectId));
   if (noteIds.length === 0) return [];
 
-  // Batch-read note bodies
-  const batchData = await hubspotFetch('/crm/v3/objects/notes/batch/read', {
-    method: 'POST',
-    body: JSON.stringify({
-      properties: NOTE_PROPERTIES,
-      inputs: noteIds.map(id => ({ id })),
-    }),
-  });
+  // Batch-read note bodies (chunked to HubSpot's 100-ID limit)
+  const results = await batchRead(apiKey, 'notes', noteIds, NOTE_PROPERTIES);
 
-  const notes = (batchData.results || []).map(r => ({
+  const notes = results.map(r => ({
     id: r.id,
     body: r.properties?.hs_note_body || '',
     timestamp: r.properties?.hs_timestamp || '',
@@ -118,19 +127,23 @@ async function getNotesForDeal(dealId) {
 }
 
 async function getDealProperties(dealId) {
-  const propsParam = DEAL_PROPERTIES.join(',');
-  const data = await hubspotFetch(
+  const propsParam = [...DEAL_PROPERTIES, INPUT_HASH_PROPERTY].join(',');
+  const data = await hubspotRequest(
+    process.env.HUBSPOT_API_KEY,
     `/crm/v3/objects/deals/${dealId}?properties=${propsParam}`
   );
   return data.properties || {};
 }
 
-async function updateDealFeasibilitySummary(dealId, summary) {
-  await hubspotFetch(`/crm/v3/objects/deals/${dealId}`, {
+// Narrative, risk level, risks, categories and blocking items in one write
+async function updateDealFeasibilitySummary(dealId, assessment, inputHash) {
+  await hubspotRequest(process.env.HUBSPOT_API_KEY, `/crm/v3/objects/deals/${dealId}`, {
     method: 'PATCH',
-    body: JSON.stringify({ properties: { feasibility_summary: summary } }),
+    body: JSON.stringify({
+      properties: { ...riskAssessmentProperties(assessment), [INPUT_HASH_PROPERTY]: inputHash },
+    }),
   });
-  console.log(`Updated feasibility_summary for deal ${dealId}`);
+  console.log(`Updated feasibility risk properties for deal ${dealId}`);
 }
 
 // --- Formatting helpers ---
@@ -189,93 +202,229 @@ function formatDealProfile(properties) {
   return lines.length > 0 ? lines.join('\n').trim() : '(No deal data available)';
 }
 
+// [{ id, timestamp, text }] for the non-empty notes, oldest first
 function formatNotes(notes) {
-  const parts = [];
+  const entries = [];
   for (const note of notes) {
     const body = stripHtml(note.body || '').trim();
     if (!body) continue;
     const ts = note.timestamp || 'unknown date';
-    parts.push(`[${ts}]\n${body}`);
+    entries.push({ id: note.id, timestamp: note.timestamp, text: `[${ts}]\n${body}` });
   }
-  return parts.length > 0 ? parts.join('\n\n---\n\n') : '(No notes)';
+  return entries;
 }
 
-function truncateInput(dealProfile, notesText) {
-  const total = dealProfile.length + notesText.length;
-  if (total <= MAX_INPUT_CHARS) return { dealProfile, notesText };
+function joinNotes(entries) {
+  return entries.length > 0 ? entries.map(e => e.text).join(NOTE_SEPARATOR) : '(No notes)';
+}
 
-  let budget = MAX_INPUT_CHARS - dealProfile.length;
-  if (budget < 500) {
-    dealProfile = dealProfile.slice(0, MAX_INPUT_CHARS / 2);
-    budget = MAX_INPUT_CHARS / 2;
-  }
-  // Keep the tail (most recent notes)
-  notesText = notesText.slice(-budget);
-  console.log(`Truncated notes to ${notesText.length} chars`);
-  return { dealProfile, notesText };
+function hashInputs(dealProfile, notesText) {
+  return crypto
+    .createHash('sha256')
+    .update(`prompt:${PROMPT_VERSION}\n${dealProfile}\n\n${notesText}`, 'utf8')
+    .digest('hex');
+}
+
+function formatPreviousAssessment(version) {
+  const { assessment, createdAt } = version;
+  const lines = [`Assessed: ${createdAt}`, `Risk level: ${assessment.risk_level}`];
+  lines.push('Risks:', ...(assessment.risks.length > 0
+    ? assessment.risks.map(r => `  ${r.severity.toUpperCase()} - ${r.category}: ${r.description}`)
+    : ['  (none)']));
+  lines.push('Blocking items:', ...(assessment.blocking_items.length > 0
+    ? assessment.blocking_items.map(item => `  - ${item}`)
+    : ['  (none)']));
+  lines.push(`Narrative: ${assessment.narrative}`);
+  return lines.join('\n');
 }
 
 // --- Claude API ---
 
-async function generateFeasibilitySummary(dealProperties, notes) {
-  const rawProfile = formatDealProfile(dealProperties);
-  const rawNotes = formatNotes(notes);
-  const { dealProfile, notesText } = truncateInput(rawProfile, rawNotes);
+// Returns { assessment, model, condensedNotes }: a validated risk assessment
+// (see lib/feasibility-risk.js), the model that produced it and how many
+// older notes were condensed to fit, or throws when Claude keeps returning
+// malformed output. `previous` is the deal's latest history version, if any,
+// so the assessment can say what changed.
+async function generateRiskAssessment(rawProfile, noteEntries, previous) {
+  const client = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+  const model = process.env.CLAUDE_MODEL || 'claude-sonnet-4-20250514';
 
-  const userMessage = `DEAL PROFILE:\n${dealProfile}\n\nANALYST NOTES (chronological):\n${notesText}`;
+  // The profile is a few dozen fields; only an oversized one is cut
+  let dealProfile = rawProfile;
+  if (estimateTokens(dealProfile) > MAX_INPUT_TOKENS / 4) {
+    dealProfile = truncateToTokens(dealProfile, MAX_INPUT_TOKENS / 4);
+    console.log(`Truncated deal profile to ${dealProfile.length} chars`);
+  }
+  const previousText = previous ? formatPreviousAssessment(previous) : '';
+
+  const notesBudget = MAX_INPUT_TOKENS - estimateTokens(dealProfile) - estimateTokens(previousText);
+  const { notesText, condensedNotes } = noteEntries.length > 0
+    ? await fitNotesToBudget(noteEntries, notesBudget, {
+      client,
+      model: process.env.CLAUDE_CONDENSE_MODEL || model,
+    })
+    : { notesText: joinNotes(noteEntries), condensedNotes: 0 };
+
+  let userMessage = `DEAL PROFILE:\n${dealProfile}\n\nANALYST NOTES (chronological):\n${notesText}`;
+  if (previous) userMessage += `\n\nPREVIOUS ASSESSMENT:\n${previousText}`;
+  const messages = [{ role: 'user', content: userMessage }];
+
+  let errors = [];
+  for (let attempt = 1; attempt <= MAX_GENERATION_ATTEMPTS; attempt++) {
+    const response = await client.messages.create({
+      model,
+      max_tokens: 2048,
+      system: SYSTEM_PROMPT,
+      tools: [RISK_ASSESSMENT_TOOL],
+      tool_choice: { type: 'tool', name: RISK_ASSESSMENT_TOOL.name },
+      messages,
+    });
+
+    const toolUse = response.content.find(block => block.type === 'tool_use' && block.name === RISK_ASSESSMENT_TOOL.name);
+    if (!toolUse) {
+      errors = [`no ${RISK_ASSESSMENT_TOOL.name} call (stop reason ${response.stop_reason})`];
+      console.warn(`Malformed risk assessment (attempt ${attempt}): ${errors.join('; ')}`);
+      continue;
+    }
 
-  const client = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
-  const response = await client.messages.create({
-    model: process.env.CLAUDE_MODEL || 'claude-sonnet-4-20250514',
-    max_tokens: 1024,
-    system: SYSTEM_PROMPT,
-    messages: [{ role: 'user', content: userMessage }],
-  });
+    errors = validateRiskAssessment(toolUse.input, { requireChanges: Boolean(previous) });
+    if (errors.length === 0) {
+      console.log(`Generated risk assessment: ${toolUse.input.risk_level}, ${toolUse.input.risks.length} risk(s), ${toolUse.input.blocking_items.length} blocking item(s)`);
+      return { assessment: toolUse.input, model: response.model, condensedNotes };
+    }
+
+    console.warn(`Malformed risk assessment (attempt ${attempt}): ${errors.join('; ')}`);
+    // Send the problems back so the next attempt can correct them
+    messages.push(
+      { role: 'assistant', content: response.content },
+      {
+        role: 'user',
+        content: [{
+          type: 'tool_result',
+          tool_use_id: toolUse.id,
+          is_error: true,
+          content: `The assessment is invalid: ${errors.join('; ')}. Call ${RISK_ASSESSMENT_TOOL.name} again with a corrected assessment.`,
+        }],
+      }
+    );
+  }
 
-  const summary = response.content[0].text.trim();
-  console.log(`Generated feasibility summary (${summary.length} chars)`);
-  return summary;
+  throw new Error(`Malformed risk assessment after ${MAX_GENERATION_ATTEMPTS} attempts: ${errors.join('; ')}`);
 }
 
 // --- Orchestrator ---
 
-async function processDeal(dealId) {
+// Returns the run details recorded for the dashboard
+export async function processDeal(dealId) {
   console.log(`Processing deal ${dealId}`);
 
   const notes = await getNotesForDeal(dealId);
   if (notes.length === 0) {
     console.log(`Deal ${dealId} has no notes, skipping`);
-    return;
+    return { status: 'skipped', reason: 'no_notes', noteCount: 0 };
   }
 
   const dealProperties = await getDealProperties(dealId);
-  const summary = await generateFeasibilitySummary(dealProperties, notes);
-  await updateDealFeasibilitySummary(dealId, summary);
+  const dealProfile = formatDealProfile(dealProperties);
+  const noteEntries = formatNotes(notes);
+
+  // Nothing the summary is built from changed since the last one
+  const inputHash = hashInputs(dealProfile, joinNotes(noteEntries));
+  if (dealProperties[INPUT_HASH_PROPERTY] === inputHash) {
+    console.log(`Deal ${dealId} inputs unchanged since the last summary, skipping`);
+    return { status: 'skipped', reason: 'unchanged', dealName: dealProperties.dealname, noteCount: notes.length };
+  }
+
+  const previous = await getLatestVersion(dealId);
+  const { assessment, model, condensedNotes } = await generateRiskAssessment(dealProfile, noteEntries, previous);
+  await updateDealFeasibilitySummary(dealId, assessment, inputHash);
   console.log(`Feasibility summary updated for deal ${dealId}`);
+
+  // The deal is already updated; a failed history write only loses the version
+  const version = await saveVersion(dealId, previous, {
+    model, promptVersion: PROMPT_VERSION, inputHash, noteCount: notes.length, assessment,
+  }).catch(err => {
+    console.warn(`Failed to save feasibility history for deal ${dealId}: ${err.message}`);
+    return null;
+  });
+
+  return {
+    status: 'updated',
+    dealName: dealProperties.dealname,
+    noteCount: notes.length,
+    condensedNotes,
+    riskLevel: assessment.risk_level,
+    blockingItems: assessment.blocking_items.length,
+    summaryChars: assessment.narrative.length,
+    version: version?.version ?? null,
+    changeSummary: version?.changeSummary ?? null,
+  };
+}
+
+// Process one deal and log the run; errors are logged, not thrown.
+// Returns the run details, with status 'error' when it failed.
+export async function runDeal(dealId) {
+  const startedAt = Date.now();
+  let run;
+  try {
+    run = await processDeal(dealId);
+  } catch (err) {
+    console.error(`Failed to process deal ${dealId}:`, err.message);
+    run = { status: 'error', error: err.message };
+  }
+  await recordFeasibilityRun({ dealId, ...run, durationMs: Date.now() - startedAt })
+    .catch(err => console.warn(`Failed to record feasibility run: ${err.message}`));
+  return run;
 }
 
-async function processEngagement(engagementId) {
-  console.log(`Processing engagement ${engagementId}`);
+// --- Webhook events ---
 
-  const dealIds = await getDealIdsForEngagement(engagementId);
-  if (dealIds.length === 0) {
-    console.log(`Engagement ${engagementId} has no associated deals, skipping`);
-    return;
+const NOTE_OBJECT_TYPE = '0-46';
+const DEAL_OBJECT_TYPE = '0-3';
+
+// What an event refers to: { dealId, reason }, { noteId } (deals looked up
+// through its associations), or null for events this function ignores
+function parseFeasibilityEvent(evt) {
+  const subType = evt.subscriptionType || '';
+
+  if (subType === 'deal.creation') {
+    return evt.objectId ? { dealId: String(evt.objectId), reason: 'deal_created' } : null;
+  }
+
+  // Only properties the summary depends on. This also ignores the PATCH of
+  // feasibility_summary itself, which would otherwise trigger another run.
+  const isDealChange = subType === 'deal.propertyChange' ||
+    (subType === 'object.propertyChange' && evt.objectTypeId === DEAL_OBJECT_TYPE);
+  if (isDealChange) {
+    if (!feasibilityConfig.triggerProperties.has(evt.propertyName)) return null;
+    return evt.objectId ? { dealId: String(evt.objectId), reason: `deal_change:${evt.propertyName}` } : null;
   }
 
-  for (const dealId of dealIds) {
-    try {
-      await processDeal(dealId);
-    } catch (err) {
-      console.error(`Failed to process deal ${dealId}:`, err.message);
+  // Note created, or its body edited
+  if ((subType === 'object.creation' || subType === 'object.propertyChange') && evt.objectTypeId === NOTE_OBJECT_TYPE) {
+    if (subType === 'object.propertyChange' && evt.propertyName && evt.propertyName !== 'hs_note_body') return null;
+    return evt.objectId ? { noteId: String(evt.objectId) } : null;
+  }
+
+  // Note attached to or removed from a deal
+  if (/associationChange$/.test(subType)) {
+    const { fromObjectTypeId: from, toObjectTypeId: to, associationType } = evt;
+    if ((from === DEAL_OBJECT_TYPE && to === NOTE_OBJECT_TYPE) || associationType === 'DEAL_TO_NOTE') {
+      return { dealId: String(evt.fromObjectId), reason: 'note_association' };
+    }
+    if ((from === NOTE_OBJECT_TYPE && to === DEAL_OBJECT_TYPE) || associationType === 'NOTE_TO_DEAL') {
+      return { dealId: String(evt.toObjectId), reason: 'note_association' };
     }
   }
+
+  return null;
 }
 
 // --- Main handler ---
 
 export async function handler(event) {
   console.log('Feasibility summary function triggered');
+  connectBlobs(event);
 
   if (event.httpMethod === 'GET') {
     return { statusCode: 200, body: 'Feasibility summary webhook active' };
@@ -286,39 +435,40 @@ export async function handler(event) {
   }
 
   try {
+    const verification = await verifyHubSpotSignature(event);
+    if (!verification.valid) return unauthorizedResponse(verification.reason);
+
     if (!process.env.HUBSPOT_API_KEY) {
       throw new Error('HUBSPOT_API_KEY not configured');
     }
-    if (!process.env.ANTHROPIC_API_KEY) {
-      throw new Error('ANTHROPIC_API_KEY not configured');
-    }
 
     const events = JSON.parse(event.body);
     console.log(`Processing ${events.length} events`);
 
-    // Collect unique deal IDs from deal property change events
-    const dealIds = new Set();
+    // Deal events name the deal; note events are mapped to the note's deals
+    const dealReasons = new Map();
+    const noteIds = new Set();
     for (const evt of events) {
-      const subType = evt.subscriptionType || '';
-      if (subType === 'deal.propertyChange' || subType === 'deal.creation') {
-        const did = String(evt.objectId || '');
-        if (did) dealIds.add(did);
-      }
+      const ref = parseFeasibilityEvent(evt);
+      if (ref?.dealId) dealReasons.set(ref.dealId, ref.reason);
+      if (ref?.noteId) noteIds.add(ref.noteId);
     }
-
-    console.log(`Found ${dealIds.size} unique deal(s) to process`);
-
-    for (const dealId of dealIds) {
+    for (const noteId of noteIds) {
       try {
-        await processDeal(dealId);
+        for (const dealId of await getDealIdsForEngagement(noteId)) dealReasons.set(dealId, 'note');
       } catch (err) {
-        console.error(`Failed to process deal ${dealId}:`, err.message);
+        console.error(`Failed to look up deals for note ${noteId}:`, err.message);
       }
     }
 
+    console.log(`Found ${dealReasons.size} unique deal(s) to refresh`);
+
+    // Regenerated by the worker once each deal has been quiet for a while
+    for (const [dealId, reason] of dealReasons) await requestFeasibilityRefresh(dealId, reason);
+
     return {
       statusCode: 200,
-      body: JSON.stringify({ success: true, processed: dealIds.size }),
+      body: JSON.stringify({ success: true, queued: dealReasons.size }),
     };
   } catch (error) {
     console.error('Error processing webhook:', error);
@@ -0,0 +1,25 @@
+/**
+ * Netlify Scheduled Function: Feasibility Summary Scheduler
+ *
+ * Runs every minute (see netlify.toml). Starts the feasibility worker when a
+ * pending deal has been quiet long enough to regenerate its summary.
+ */
+
+import { connectBlobs } from '../lib/store.js';
+import { listPendingRefreshes, startFeasibilityWorker } from '../lib/feasibility-queue.js';
+
+export async function handler(event) {
+  connectBlobs(event);
+
+  try {
+    const entries = await listPendingRefreshes();
+    const due = entries.filter(e => e.dueAt <= Date.now()).length;
+    if (entries.length > 0) console.log(`Feasibility queue: ${entries.length} pending, ${due} due`);
+
+    if (due > 0) await startFeasibilityWorker();
+    return { statusCode: 200 };
+  } catch (error) {
+    console.error('Feasibility scheduler failed:', error);
+    return { statusCode: 500 };
+  }
+}
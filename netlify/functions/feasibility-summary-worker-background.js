@@ -0,0 +1,84 @@
+/**
+ * Netlify Background Function: Feasibility Summary Worker
+ *
+ * Regenerates the feasibility summary of each deal whose pending entry is
+ * due, i.e. quiet for the debounce period (see lib/feasibility-queue.js).
+ * A deal that gets another event while it is processed stays pending and is
+ * regenerated again once quiet. A deal whose run fails stays pending and is
+ * retried later with a backoff.
+ *
+ * Started by feasibility-summary-scheduler. Only one worker runs at a time;
+ * a second invocation exits if another holds the lease.
+ */
+
+import crypto from 'node:crypto';
+import { connectBlobs } from '../lib/store.js';
+import { isOpsRequestAuthorized, opsUnauthorizedResponse } from '../lib/ops-auth.js';
+import {
+  acquireFeasibilityLease,
+  completeRefresh,
+  listPendingRefreshes,
+  recordRefreshFailure,
+  releaseFeasibilityLease,
+} from '../lib/feasibility-queue.js';
+import { runDeal } from './feasibility-summary-background.js';
+
+// Stop picking up new deals after this long, well within the 15-minute limit
+const TIME_BUDGET_MS = 12 * 60 * 1000;
+
+export async function handler(event) {
+  console.log('Feasibility summary worker triggered');
+  connectBlobs(event);
+  if (!isOpsRequestAuthorized(event)) return opsUnauthorizedResponse();
+
+  for (const name of ['HUBSPOT_API_KEY', 'ANTHROPIC_API_KEY']) {
+    if (!process.env[name]) {
+      console.error(`${name} not configured`);
+      return { statusCode: 500, body: `${name} not configured` };
+    }
+  }
+
+  const runId = crypto.randomUUID();
+  if (!(await acquireFeasibilityLease(runId))) {
+    console.log('Another feasibility worker is running, exiting');
+    return { statusCode: 200, body: 'Worker already running' };
+  }
+
+  const startedAt = Date.now();
+  let processed = 0;
+
+  try {
+    while (Date.now() - startedAt < TIME_BUDGET_MS) {
+      const due = (await listPendingRefreshes()).filter(e => e.dueAt <= Date.now());
+      if (due.length === 0) break;
+
+      for (const entry of due) {
+        if (Date.now() - startedAt >= TIME_BUDGET_MS) break;
+
+        console.log(`Regenerating deal ${entry.dealId} (${entry.reasons.join(', ')})`);
+        const run = await runDeal(entry.dealId);
+        if (run.status === 'error') {
+          const result = await recordRefreshFailure(entry, run.error);
+          if (result.dropped) {
+            console.error(`Deal ${entry.dealId} failed ${result.failures} times, giving up until its next event`);
+          } else if (!result.requeued) {
+            console.log(`Deal ${entry.dealId} failed, retrying in ${Math.round(result.retryInMs / 60000)} min`);
+          }
+        } else if (!(await completeRefresh(entry))) {
+          console.log(`Deal ${entry.dealId} changed while processing, left pending`);
+        }
+        processed++;
+
+        if (!(await acquireFeasibilityLease(runId))) {
+          console.warn('Feasibility worker lost its lease, stopping');
+          return { statusCode: 200, body: JSON.stringify({ processed, stopped: 'lease_lost' }) };
+        }
+      }
+    }
+  } finally {
+    await releaseFeasibilityLease(runId);
+  }
+
+  console.log(`Feasibility worker finished: ${processed} deal(s) in ${Math.round((Date.now() - startedAt) / 1000)}s`);
+  return { statusCode: 200, body: JSON.stringify({ processed }) };
+}
@@ -0,0 +1,72 @@
+/**
+ * Netlify Function: Operations Dashboard Data
+ *
+ * GET /api/dashboard?days=7   (or ?hours=24)
+ *   -> email-sync stats for the window (per status, match type and deal
+ *      stage), recent matches, recent unmatched emails, the review queue,
+ *      recent feasibility summary runs, and the deal index status
+ *
+ * Requires `Authorization: Bearer <OPS_API_TOKEN>`. Backs public/index.html,
+ * which asks for the token and keeps it for the browser session.
+ */
+
+import { connectBlobs } from '../lib/store.js';
+import { json, windowMs } from '../lib/http.js';
+import { isOpsRequestAuthorized, opsUnauthorizedResponse } from '../lib/ops-auth.js';
+import { loadOutcomes, summarizeOutcomes } from '../lib/match-stats.js';
+import { listReviewQueue } from '../lib/review-queue.js';
+import { listFeasibilityRuns } from '../lib/feasibility-runs.js';
+import { getDealIndexStatus } from '../lib/deal-index.js';
+import { matchingConfig } from './email-sync.js';
+
+const RECENT_LIMIT = 25;
+
+// Stage ID -> "Pipeline: stage" from the matching config
+function stageLabels() {
+  const labels = {};
+  for (const [key, pipeline] of Object.entries(matchingConfig.pipelines)) {
+    for (const [name, stageId] of Object.entries(pipeline.stages)) {
+      labels[stageId] = `${pipeline.label || key}: ${name}`;
+    }
+  }
+  return labels;
+}
+
+export async function handler(event) {
+  connectBlobs(event);
+  if (!isOpsRequestAuthorized(event)) return opsUnauthorizedResponse();
+
+  if (event.httpMethod !== 'GET') {
+    return { statusCode: 405, body: 'Method not allowed' };
+  }
+
+  try {
+    const to = Date.now();
+    const span = windowMs(event.queryStringParameters || {});
+    const from = to - span;
+
+    const [outcomes, reviewQueue, feasibilityRuns, dealIndex] = await Promise.all([
+      loadOutcomes(from, to),
+      listReviewQueue(),
+      listFeasibilityRuns({ days: Math.ceil(span / (24 * 60 * 60 * 1000)), limit: RECENT_LIMIT }),
+      getDealIndexStatus(),
+    ]);
+
+    return json(200, {
+      window: { from: new Date(from).toISOString(), to: new Date(to).toISOString() },
+      hubspotPortalId: process.env.HUBSPOT_PORTAL_ID || null,
+      confidenceThreshold: matchingConfig.confidenceThreshold,
+      stageLabels: stageLabels(),
+      stats: summarizeOutcomes(outcomes, { recentLimit: RECENT_LIMIT }),
+      reviewQueue: reviewQueue.slice(0, RECENT_LIMIT).map(({ emailId, subject, reason, candidates, queuedAt }) => ({
+        emailId, subject, reason, candidates: (candidates || []).slice(0, 3), queuedAt,
+      })),
+      reviewQueueSize: reviewQueue.length,
+      feasibilityRuns,
+      dealIndex,
+    });
+  } catch (error) {
+    console.error('Error loading dashboard:', error);
+    return json(500, { error: error.message });
+  }
+}
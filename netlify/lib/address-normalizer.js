@@ -0,0 +1,185 @@
+/**
+ * US street address normalization (USPS Publication 28 abbreviations).
+ *
+ * normalizeAddress('123 North Main Street, Apt 4, Detroit, Michigan 48201-1234')
+ *   -> { houseNumber: '123', preDirectional: 'n', streetName: 'main', suffix: 'st',
+ *        postDirectional: null, unit: '4', city: 'detroit', state: 'mi', zip: '48201',
+ *        street: 'n main st', normalized: '123 n main st #4 detroit mi 48201' }
+ *
+ * compareAddresses() compares the components (house number, street, unit,
+ * ZIP) so "123 North Main Street" and "123 N Main St" are the same address.
+ */
+
+const SUFFIXES = {
+  alley: 'aly', aly: 'aly', avenue: 'ave', ave: 'ave', av: 'ave', bend: 'bnd', bnd: 'bnd',
+  boulevard: 'blvd', blvd: 'blvd', circle: 'cir', cir: 'cir', court: 'ct', ct: 'ct',
+  cove: 'cv', cv: 'cv', crossing: 'xing', xing: 'xing', drive: 'dr', dr: 'dr',
+  expressway: 'expy', expy: 'expy', freeway: 'fwy', fwy: 'fwy', highway: 'hwy', hwy: 'hwy',
+  lane: 'ln', ln: 'ln', loop: 'loop', parkway: 'pkwy', pkwy: 'pkwy', place: 'pl', pl: 'pl',
+  plaza: 'plz', plz: 'plz', point: 'pt', pt: 'pt', road: 'rd', rd: 'rd', route: 'rte', rte: 'rte',
+  square: 'sq', sq: 'sq', street: 'st', st: 'st', str: 'st', terrace: 'ter', ter: 'ter',
+  trail: 'trl', trl: 'trl', way: 'way', wy: 'way',
+};
+
+const DIRECTIONALS = {
+  north: 'n', n: 'n', south: 's', s: 's', east: 'e', e: 'e', west: 'w', w: 'w',
+  northeast: 'ne', ne: 'ne', northwest: 'nw', nw: 'nw',
+  southeast: 'se', se: 'se', southwest: 'sw', sw: 'sw',
+};
+
+const UNIT_DESIGNATORS = new Set([
+  'apartment', 'apt', 'suite', 'ste', 'unit', 'building', 'bldg', 'floor', 'fl',
+  'room', 'rm', 'lot', 'space', 'spc',
+]);
+
+// What follows a designator: "4", "4b", "b", "a12", "2-1"
+const UNIT_VALUE = /^(?:[a-z]?\d+[a-z]?(?:-\d+[a-z]?)?|[a-z])$/;
+
+// Index of the unit designator ("apt", "#"), or -1. Street names can start
+// with a designator word ("500 Lot Ave", "4410 Space Coast Pkwy"), so one
+// only counts after a street name token and when it follows the suffix or
+// post-directional, or is followed by a unit-like value.
+function findUnitIndex(tokens) {
+  const firstStreetToken = /^\d/.test(tokens[0] || '') ? 2 : 1;
+  return tokens.findIndex((t, i) => {
+    if (i < firstStreetToken || !(t === '#' || UNIT_DESIGNATORS.has(t)) || !tokens[i + 1]) return false;
+    const prev = tokens[i - 1];
+    return Boolean(SUFFIXES[prev] || DIRECTIONALS[prev]) || UNIT_VALUE.test(tokens[i + 1].replace(/^#/, ''));
+  });
+}
+
+const STATES = {
+  alabama: 'al', alaska: 'ak', arizona: 'az', arkansas: 'ar', california: 'ca',
+  colorado: 'co', connecticut: 'ct', delaware: 'de', 'district of columbia': 'dc',
+  florida: 'fl', georgia: 'ga', hawaii: 'hi', idaho: 'id', illinois: 'il', indiana: 'in',
+  iowa: 'ia', kansas: 'ks', kentucky: 'ky', louisiana: 'la', maine: 'me', maryland: 'md',
+  massachusetts: 'ma', michigan: 'mi', minnesota: 'mn', mississippi: 'ms', missouri: 'mo',
+  montana: 'mt', nebraska: 'ne', nevada: 'nv', 'new hampshire': 'nh', 'new jersey': 'nj',
+  'new mexico': 'nm', 'new york': 'ny', 'north carolina': 'nc', 'north dakota': 'nd',
+  ohio: 'oh', oklahoma: 'ok', oregon: 'or', pennsylvania: 'pa', 'rhode island': 'ri',
+  'south carolina': 'sc', 'south dakota': 'sd', tennessee: 'tn', texas: 'tx', utah: 'ut',
+  vermont: 'vt', virginia: 'va', washington: 'wa', 'west virginia': 'wv', wisconsin: 'wi',
+  wyoming: 'wy', 'puerto rico': 'pr',
+};
+const STATE_CODES = new Set(Object.values(STATES));
+const STATE_NAMES = Object.keys(STATES).sort((a, b) => b.length - a.length);
+
+// Pull a trailing state (code or full name) off the end of a string
+function takeState(text) {
+  for (const name of STATE_NAMES) {
+    if (text === name || text.endsWith(` ${name}`)) {
+      return { state: STATES[name], rest: text.slice(0, -name.length).trim() };
+    }
+  }
+  const last = text.split(' ').pop();
+  if (STATE_CODES.has(last)) return { state: last, rest: text.slice(0, -last.length).trim() };
+  return { state: null, rest: text };
+}
+
+export function normalizeAddress(raw) {
+  if (!raw) return null;
+  let text = raw.toLowerCase().replace(/[.]/g, '').replace(/\s+/g, ' ').trim();
+
+  // ZIP or ZIP+4 at the end -> 5-digit ZIP
+  let zip = null;
+  const zipMatch = text.match(/[\s,]*\b(\d{5})(?:-\d{4})?$/);
+  if (zipMatch) {
+    zip = zipMatch[1];
+    text = text.slice(0, zipMatch.index).trim();
+  }
+
+  const parts = text.split(',').map(p => p.trim()).filter(Boolean);
+  let streetLine = parts.shift() || '';
+  let state = null;
+  let city = null;
+
+  if (parts.length > 0) {
+    const last = takeState(parts.pop());
+    state = last.state;
+    if (last.rest) parts.push(last.rest);
+    // "123 Main St, Apt 4, Detroit" - a unit can sit in its own comma part
+    if (parts.length > 1 && UNIT_DESIGNATORS.has(parts[0].split(' ')[0].replace(/#/, ''))) {
+      streetLine = `${streetLine} ${parts.shift()}`;
+    }
+    city = parts.join(' ') || null;
+  }
+
+  let tokens = streetLine.replace(/#\s*/g, '# ').split(' ').filter(Boolean);
+
+  // Unit designator and its value, e.g. "apt 4b", "ste 200", "# 12"
+  let unit = null;
+  const unitIndex = findUnitIndex(tokens);
+  if (unitIndex > 0) {
+    unit = tokens[unitIndex + 1].replace(/^#/, '');
+    tokens = tokens.slice(0, unitIndex);
+  }
+
+  let houseNumber = null;
+  if (tokens.length > 1 && /^\d+[a-z]?(?:-\d+[a-z]?)?$/.test(tokens[0])) {
+    houseNumber = tokens.shift();
+  }
+
+  let postDirectional = null;
+  if (tokens.length > 1 && DIRECTIONALS[tokens[tokens.length - 1]]) {
+    postDirectional = DIRECTIONALS[tokens.pop()];
+  }
+
+  let suffix = null;
+  if (tokens.length > 1 && SUFFIXES[tokens[tokens.length - 1]]) {
+    suffix = SUFFIXES[tokens.pop()];
+  }
+
+  let preDirectional = null;
+  if (tokens.length > 1 && DIRECTIONALS[tokens[0]]) {
+    preDirectional = DIRECTIONALS[tokens.shift()];
+  }
+
+  const streetName = tokens.join(' ').replace(/[^a-z0-9 ]/g, '').trim() || null;
+  const street = [preDirectional, streetName, suffix, postDirectional].filter(Boolean).join(' ');
+
+  return {
+    houseNumber,
+    preDirectional,
+    streetName,
+    suffix,
+    postDirectional,
+    unit,
+    city,
+    state,
+    zip,
+    street,
+    normalized: [houseNumber, street, unit && `#${unit}`, city, state, zip].filter(Boolean).join(' '),
+  };
+}
+
+function compareComponent(a, b) {
+  if (!a || !b) return 'unknown';
+  return a === b ? 'match' : 'mismatch';
+}
+
+// Component-by-component comparison: each is 'match', 'mismatch' or 'unknown'
+// (missing on one side). A missing suffix or directional doesn't break a
+// street match, a conflicting one does.
+export function compareAddresses(a, b) {
+  if (!a || !b) return { houseNumber: 'unknown', street: 'unknown', unit: 'unknown', zip: 'unknown' };
+
+  let street = compareComponent(a.streetName, b.streetName);
+  if (street === 'match') {
+    for (const key of ['preDirectional', 'suffix', 'postDirectional']) {
+      if (compareComponent(a[key], b[key]) === 'mismatch') street = 'mismatch';
+    }
+  }
+
+  return {
+    houseNumber: compareComponent(a.houseNumber, b.houseNumber),
+    street,
+    unit: compareComponent(a.unit, b.unit),
+    zip: compareComponent(a.zip, b.zip),
+  };
+}
+
+// Same house number and street; unit and ZIP only count against when both differ
+export function isSameAddress(rawA, rawB) {
+  const cmp = compareAddresses(normalizeAddress(rawA), normalizeAddress(rawB));
+  return cmp.houseNumber === 'match' && cmp.street === 'match' && cmp.unit !== 'mismatch' && cmp.zip !== 'mismatch';
+}
@@ -0,0 +1,73 @@
+/**
+ * Plain-text extraction for email attachments (PDF, CSV, plain text).
+ *
+ * The text feeds the same extractors as the email body, so CSV rows are
+ * flattened to "Header: value" lines, which lets "Loan Number: 399536679"
+ * and "Property Address: 708 Pallister Ave" match the body patterns.
+ */
+
+import { getDocumentProxy } from 'unpdf';
+
+export const MAX_PDF_PAGES = 10;
+const MAX_TEXT_CHARS = 50000;
+
+export function attachmentKind(fileName, mimeType = '') {
+  const ext = (fileName.split('.').pop() || '').toLowerCase();
+  if (ext === 'pdf' || mimeType === 'application/pdf') return 'pdf';
+  if (ext === 'csv' || mimeType === 'text/csv') return 'csv';
+  if (ext === 'txt' || mimeType === 'text/plain') return 'text';
+  return null;
+}
+
+async function pdfToText(buffer) {
+  const pdf = await getDocumentProxy(new Uint8Array(buffer));
+  const pageCount = Math.min(pdf.numPages, MAX_PDF_PAGES);
+  if (pdf.numPages > MAX_PDF_PAGES) {
+    console.log(`PDF has ${pdf.numPages} pages, reading first ${MAX_PDF_PAGES}`);
+  }
+
+  const pages = [];
+  for (let i = 1; i <= pageCount; i++) {
+    const content = await (await pdf.getPage(i)).getTextContent();
+    pages.push(content.items.map(item => item.str + (item.hasEOL ? '\n' : ' ')).join(''));
+  }
+  return pages.join('\n');
+}
+
+function parseCsvLine(line) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { cells.push(cell.trim()); cell = ''; }
+    else cell += ch;
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+function csvToText(text) {
+  const [headerLine, ...rows] = text.split(/\r?\n/).filter(l => l.trim());
+  if (!headerLine) return '';
+  const headers = parseCsvLine(headerLine);
+
+  return rows.map(row => parseCsvLine(row)
+    .map((value, i) => (value ? `${headers[i] || `Column ${i + 1}`}: ${value}` : ''))
+    .filter(Boolean)
+    .join('\n')
+  ).join('\n\n');
+}
+
+export async function extractAttachmentText(kind, buffer) {
+  let text;
+  if (kind === 'pdf') text = await pdfToText(buffer);
+  else if (kind === 'csv') text = csvToText(Buffer.from(buffer).toString('utf8'));
+  else text = Buffer.from(buffer).toString('utf8');
+  return text.slice(0, MAX_TEXT_CHARS);
+}
@@ -0,0 +1,78 @@
+/**
+ * Historical backfill job state, kept in the `email-backfill-jobs` blob store.
+ *
+ * A job pages through HubSpot emails between `from` and `to` (ms timestamps).
+ * `cursor` is saved after every page so a new worker invocation can resume
+ * where the previous one stopped:
+ *   cursor = { from, after }  // search lower bound + HubSpot paging token
+ *
+ * One worker at a time runs a job: it holds a lease on the job ID (in
+ * `email-backfill-workers`) and renews it after every email.
+ */
+
+import crypto from 'node:crypto';
+import { openStore } from './store.js';
+import { invokeBackgroundFunction } from './background.js';
+import { acquireLease, isLeaseHeld, releaseLease } from './lease.js';
+
+const JOBS_STORE = 'email-backfill-jobs';
+const LOCK_STORE = 'email-backfill-workers';
+
+// A worker that stops renewing (crashed, timed out) loses the lease after this
+const LEASE_MS = 2 * 60 * 1000;
+
+export async function createJob({ from, to, reportOnly }) {
+  const now = new Date().toISOString();
+  const job = {
+    jobId: crypto.randomUUID(),
+    from,
+    to,
+    reportOnly: Boolean(reportOnly),
+    status: 'pending',
+    cursor: { from, after: null },
+    counts: { scanned: 0, alreadyAssociated: 0, matched: 0, review: 0, unmatched: 0, errors: 0 },
+    report: [],
+    invocations: 0,
+    createdAt: now,
+    updatedAt: now,
+  };
+  await saveJob(job);
+  return job;
+}
+
+export async function getJob(jobId) {
+  return openStore(JOBS_STORE).get(String(jobId), { type: 'json' });
+}
+
+export async function saveJob(job) {
+  job.updatedAt = new Date().toISOString();
+  await openStore(JOBS_STORE).setJSON(job.jobId, job);
+}
+
+export async function listJobs() {
+  const store = openStore(JOBS_STORE);
+  const { blobs } = await store.list();
+  const jobs = await Promise.all(blobs.map(b => store.get(b.key, { type: 'json' })));
+  return jobs
+    .filter(Boolean)
+    .map(({ report, ...summary }) => ({ ...summary, reportEntries: report.length }))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+export async function acquireJobLease(jobId, runId) {
+  return acquireLease(LOCK_STORE, runId, LEASE_MS, String(jobId));
+}
+
+export async function releaseJobLease(jobId, runId) {
+  await releaseLease(LOCK_STORE, runId, String(jobId));
+}
+
+// True while a live worker holds the job
+export async function isJobRunning(jobId) {
+  return isLeaseHeld(LOCK_STORE, String(jobId));
+}
+
+// Kick off (or continue) a job in the background worker
+export async function startBackfillWorker(jobId) {
+  await invokeBackgroundFunction('email-sync-backfill-background', { jobId });
+}
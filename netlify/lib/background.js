@@ -0,0 +1,21 @@
+/**
+ * Invoke one of this site's background functions.
+ *
+ * Background functions answer 202 right away and keep running (up to 15 min).
+ * Calls are authenticated with the operator token, which the background
+ * functions check like any other operator request.
+ */
+
+export async function invokeBackgroundFunction(name, payload = {}) {
+  const resp = await fetch(`${process.env.URL}/.netlify/functions/${name}`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${process.env.OPS_API_TOKEN}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(payload),
+  });
+  if (resp.status !== 202 && !resp.ok) {
+    throw new Error(`Failed to start ${name} (${resp.status})`);
+  }
+}
@@ -0,0 +1,36 @@
+/**
+ * Blob keys bucketed by UTC day, `<YYYY-MM-DD>/<ms>-<random>`, so a time
+ * window only lists the days it covers and old days can be dropped whole.
+ */
+
+import crypto from 'node:crypto';
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Share of writes that also prune days past retention
+const PRUNE_PROBABILITY = 0.02;
+
+export function dayKey(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+export function bucketKey(ms) {
+  return `${dayKey(ms)}/${ms}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+// Time a key was written, from its `<ms>-<random>` part
+export function bucketKeyTime(key) {
+  return Number(key.split('/')[1].split('-')[0]);
+}
+
+// Opportunistically drop days older than `retentionDays`, on a small share
+// of calls
+export async function pruneOldDays(store, retentionDays, now = Date.now()) {
+  if (Math.random() >= PRUNE_PROBABILITY) return;
+  const cutoff = dayKey(now - retentionDays * DAY_MS);
+  const { directories } = await store.list({ directories: true });
+  for (const day of directories.filter(d => d < cutoff)) {
+    const { blobs } = await store.list({ prefix: `${day}/` });
+    await Promise.all(blobs.map(b => store.delete(b.key)));
+  }
+}
@@ -0,0 +1,173 @@
+/**
+ * Local index of target-stage deals, so matching does not have to search
+ * HubSpot for every identifier in every email.
+ *
+ * Kept in the `email-sync-deal-index` blob store:
+ *   snapshot          { builtAt, configVersion, deals: [{ id, properties }] }
+ *   updates/<dealId>  { deal: { id, properties } | null, updatedAt }
+ *
+ * The snapshot is rebuilt periodically by deal-index-refresh-background.
+ * Deal webhooks write `updates/` entries (null = no longer a target-stage
+ * deal), which are applied on top of the snapshot when it is loaded and
+ * cleared by the next rebuild. Lookups only return target-stage deals, so
+ * an empty result is a miss and the caller falls back to a live search.
+ */
+
+import { openStore } from './store.js';
+import { normalizeAddress } from './address-normalizer.js';
+import { compareNames } from './name-similarity.js';
+
+const INDEX_STORE = 'email-sync-deal-index';
+const SNAPSHOT_KEY = 'snapshot';
+const UPDATE_PREFIX = 'updates/';
+
+export const INDEX_DEAL_PROPERTIES = [
+  'dealname', 'loan_number', 'loan_number__servicer_', 'loan_number__b_piece_servicer_',
+  'full_address', 'dealstage', 'pipeline',
+];
+
+// Reuse a loaded index for this long within a warm function instance
+const CACHE_TTL_MS = 60 * 1000;
+
+// A snapshot older than this means refreshes have stopped; don't trust it
+const MAX_SNAPSHOT_AGE_MS = 6 * 60 * 60 * 1000;
+
+// Deal-name candidates below this similarity can't clear the confidence threshold
+const NAME_CANDIDATE_SIMILARITY = 0.4;
+const MAX_NAME_CANDIDATES = 20;
+
+let cached = null;
+let cachedAt = 0;
+
+// Loan-number fields sometimes hold several numbers ("12452 / 5260113979")
+function loanTokens(value) {
+  if (!value) return [];
+  const trimmed = String(value).trim();
+  return [...new Set([trimmed, ...trimmed.split(/[\s,;/]+/)])].filter(Boolean);
+}
+
+function streetKey(address) {
+  const normalized = normalizeAddress(address);
+  if (!normalized?.houseNumber || !normalized.streetName) return null;
+  return `${normalized.houseNumber} ${normalized.streetName}`;
+}
+
+function addTo(map, key, deal) {
+  if (!key) return;
+  if (!map.has(key)) map.set(key, []);
+  if (!map.get(key).includes(deal)) map.get(key).push(deal);
+}
+
+function buildLookups(snapshot, deals) {
+  const byLoanNumber = new Map();   // `${property}:${token}` -> deals
+  const byStreet = new Map();       // "123 main" -> deals
+
+  for (const deal of deals) {
+    for (const property of INDEX_DEAL_PROPERTIES.filter(p => p.startsWith('loan_number'))) {
+      for (const token of loanTokens(deal.properties[property])) {
+        addTo(byLoanNumber, `${property}:${token}`, deal);
+      }
+    }
+    addTo(byStreet, streetKey(deal.properties.full_address), deal);
+    addTo(byStreet, streetKey(deal.properties.dealname), deal);
+  }
+
+  return {
+    builtAt: snapshot.builtAt,
+    size: deals.length,
+
+    findByLoanNumber(loanNumber, properties) {
+      const found = properties.flatMap(p => byLoanNumber.get(`${p}:${loanNumber}`) || []);
+      return [...new Set(found)];
+    },
+
+    findByAddress(address) {
+      const key = streetKey(address);
+      return key ? byStreet.get(key) || [] : [];
+    },
+
+    findByName(name) {
+      return deals
+        .map(deal => ({
+          deal,
+          similarity: Math.max(
+            compareNames(name, deal.properties.dealname).similarity,
+            compareNames(name, deal.properties.full_address).similarity
+          ),
+        }))
+        .filter(c => c.similarity >= NAME_CANDIDATE_SIMILARITY)
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, MAX_NAME_CANDIDATES)
+        .map(c => c.deal);
+    },
+  };
+}
+
+async function loadUpdates(store) {
+  const { blobs } = await store.list({ prefix: UPDATE_PREFIX });
+  const updates = await Promise.all(blobs.map(b => store.get(b.key, { type: 'json' })));
+  return blobs.map((b, i) => ({ dealId: b.key.slice(UPDATE_PREFIX.length), ...updates[i] }));
+}
+
+// Returns null when there is no usable snapshot (not built yet, or stale)
+export async function loadDealIndex() {
+  if (cached && Date.now() - cachedAt < CACHE_TTL_MS) return cached;
+
+  const store = openStore(INDEX_STORE);
+  const snapshot = await store.get(SNAPSHOT_KEY, { type: 'json' });
+  if (!snapshot || Date.now() - Date.parse(snapshot.builtAt) > MAX_SNAPSHOT_AGE_MS) {
+    if (snapshot) console.warn(`Deal index snapshot from ${snapshot.builtAt} is stale, using live search`);
+    cached = null;
+    cachedAt = Date.now();
+    return null;
+  }
+
+  const deals = new Map(snapshot.deals.map(d => [String(d.id), d]));
+  for (const update of await loadUpdates(store)) {
+    if (update.deal) deals.set(update.dealId, update.deal);
+    else deals.delete(update.dealId);
+  }
+
+  cached = buildLookups(snapshot, [...deals.values()]);
+  cachedAt = Date.now();
+  return cached;
+}
+
+// Replace the snapshot, then drop updates it already reflects
+export async function saveDealIndexSnapshot(deals, { startedAt, configVersion }) {
+  const store = openStore(INDEX_STORE);
+  await store.setJSON(SNAPSHOT_KEY, {
+    builtAt: new Date(startedAt).toISOString(),
+    configVersion,
+    deals: deals.map(d => ({ id: String(d.id), properties: d.properties })),
+  });
+
+  for (const update of await loadUpdates(store)) {
+    if (Date.parse(update.updatedAt) < startedAt) await store.delete(`${UPDATE_PREFIX}${update.dealId}`);
+  }
+}
+
+// deal = null removes the deal from the index (deleted or left the target stages)
+export async function recordDealUpdate(dealId, deal) {
+  await openStore(INDEX_STORE).setJSON(`${UPDATE_PREFIX}${dealId}`, {
+    deal: deal ? { id: String(deal.id), properties: deal.properties } : null,
+    updatedAt: new Date().toISOString(),
+  });
+}
+
+export async function getDealIndexStatus() {
+  const store = openStore(INDEX_STORE);
+  const [snapshot, { blobs }] = await Promise.all([
+    store.get(SNAPSHOT_KEY, { type: 'json' }),
+    store.list({ prefix: UPDATE_PREFIX }),
+  ]);
+  if (!snapshot) return { built: false, pendingUpdates: blobs.length };
+  return {
+    built: true,
+    builtAt: snapshot.builtAt,
+    configVersion: snapshot.configVersion,
+    deals: snapshot.deals.length,
+    pendingUpdates: blobs.length,
+    stale: Date.now() - Date.parse(snapshot.builtAt) > MAX_SNAPSHOT_AGE_MS,
+  };
+}
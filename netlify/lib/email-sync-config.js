@@ -0,0 +1,231 @@
+/**
+ * Email-sync matching configuration.
+ *
+ * Loaded from the EMAIL_SYNC_CONFIG environment variable (JSON) when set,
+ * otherwise from netlify/config/email-sync.json. The config is validated
+ * when the function module loads. An invalid EMAIL_SYNC_CONFIG is logged and
+ * the bundled file is used instead; an invalid bundled file throws, so the
+ * problem shows up in the deploy's function logs instead of as silent
+ * mismatches.
+ *
+ * Shape:
+ * {
+ *   version: number,
+ *   confidenceThreshold: 0-100,
+ *   ambiguityMargin: 0-100,
+ *   pipelines: { <key>: { label?, pipelineId?, stages: { <name>: <stage id> } } },
+ *   addressBlacklist: [regex source, ...],          // case-insensitive
+ *   subjectPatterns: {
+ *     loanNumber: regex source with one capture group,
+ *     dealNamePrefixes: [regex source, ...]         // text before a deal name, no capture groups
+ *   },
+ *   senderDirectory: [{                             // optional
+ *     name, type: one of SENDER_TYPES,
+ *     match: ['trustfci.com', 'payoffs@example.com'],  // domains (incl. subdomains) or addresses
+ *     loanNumberProperty?: one of LOAN_NUMBER_PROPERTIES,
+ *     subjectPatterns?: [regex source with one capture group, ...],  // extra loan-number patterns
+ *     scoreBonus?: 0-20
+ *   }]
+ * }
+ */
+
+import defaultConfig from '../config/email-sync.json' with { type: 'json' };
+
+export const SENDER_TYPES = ['servicer_a_piece', 'servicer_b_piece', 'title_company', 'insurance', 'other'];
+export const LOAN_NUMBER_PROPERTIES = ['loan_number', 'loan_number__servicer_', 'loan_number__b_piece_servicer_'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function checkRegex(source, path, errors) {
+  if (typeof source !== 'string' || !source) {
+    errors.push(`${path} must be a non-empty regex string`);
+    return;
+  }
+  try {
+    new RegExp(source);
+  } catch (error) {
+    errors.push(`${path} is not a valid regex: ${error.message}`);
+  }
+}
+
+// Strings a pattern is tried on to catch ones that can match nothing, which
+// would never advance a global exec loop
+const EMPTY_MATCH_SAMPLES = ['', ' ', 'a', 'A', '1', '-', '#', ':', 'Re: Loan # 1234567 - Draw 2 - 12 Main St | Payments: Oak'];
+
+// A pattern the extractors read match[1] from (groups = 1), or a prefix
+// spliced in front of the deal-name group (groups = 0)
+function checkPattern(source, path, errors, groups) {
+  const before = errors.length;
+  checkRegex(source, path, errors);
+  if (errors.length > before) return;
+
+  // An alternative that always matches exposes every group in the result
+  const count = new RegExp(`${source}|`).exec('').length - 1;
+  if (count !== groups) {
+    errors.push(`${path} must have ${groups === 1 ? 'exactly one capture group' : 'no capture groups (use (?:...))'}, found ${count}`);
+  }
+  const re = new RegExp(source, 'gi');
+  if (EMPTY_MATCH_SAMPLES.some(sample => [...sample.matchAll(re)].some(m => m[0] === ''))) {
+    errors.push(`${path} must not match an empty string`);
+  }
+}
+
+export function validateConfig(raw) {
+  const errors = [];
+  if (!isPlainObject(raw)) return ['config must be an object'];
+
+  if (!Number.isInteger(raw.version) || raw.version < 1) errors.push('version must be a positive integer');
+
+  for (const key of ['confidenceThreshold', 'ambiguityMargin']) {
+    if (typeof raw[key] !== 'number' || raw[key] < 0 || raw[key] > 100) {
+      errors.push(`${key} must be a number between 0 and 100`);
+    }
+  }
+
+  if (!isPlainObject(raw.pipelines) || Object.keys(raw.pipelines).length === 0) {
+    errors.push('pipelines must be an object with at least one pipeline');
+  } else {
+    const seen = new Map();
+    for (const [key, pipeline] of Object.entries(raw.pipelines)) {
+      if (!isPlainObject(pipeline) || !isPlainObject(pipeline.stages) || Object.keys(pipeline.stages).length === 0) {
+        errors.push(`pipelines.${key}.stages must be a non-empty object`);
+        continue;
+      }
+      if (pipeline.pipelineId !== undefined && typeof pipeline.pipelineId !== 'string') {
+        errors.push(`pipelines.${key}.pipelineId must be a string`);
+      }
+      for (const [name, stageId] of Object.entries(pipeline.stages)) {
+        if (typeof stageId !== 'string' || !stageId) {
+          errors.push(`pipelines.${key}.stages.${name} must be a stage ID string`);
+        } else if (seen.has(stageId)) {
+          errors.push(`stage ${stageId} is listed in both ${seen.get(stageId)} and ${key}`);
+        } else {
+          seen.set(stageId, key);
+        }
+      }
+    }
+  }
+
+  if (!Array.isArray(raw.addressBlacklist)) {
+    errors.push('addressBlacklist must be an array');
+  } else {
+    raw.addressBlacklist.forEach((p, i) => checkRegex(p, `addressBlacklist[${i}]`, errors));
+  }
+
+  const subject = raw.subjectPatterns;
+  if (!isPlainObject(subject)) {
+    errors.push('subjectPatterns must be an object');
+  } else {
+    checkPattern(subject.loanNumber, 'subjectPatterns.loanNumber', errors, 1);
+    if (!Array.isArray(subject.dealNamePrefixes) || subject.dealNamePrefixes.length === 0) {
+      errors.push('subjectPatterns.dealNamePrefixes must be a non-empty array');
+    } else {
+      subject.dealNamePrefixes.forEach((p, i) => checkPattern(p, `subjectPatterns.dealNamePrefixes[${i}]`, errors, 0));
+    }
+  }
+
+  if (raw.senderDirectory !== undefined) {
+    if (!Array.isArray(raw.senderDirectory)) {
+      errors.push('senderDirectory must be an array');
+    } else {
+      const seen = new Map();
+      raw.senderDirectory.forEach((entry, i) => validateSender(entry, `senderDirectory[${i}]`, seen, errors));
+    }
+  }
+
+  return errors;
+}
+
+function validateSender(entry, path, seen, errors) {
+  if (!isPlainObject(entry)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+  if (typeof entry.name !== 'string' || !entry.name) errors.push(`${path}.name must be a non-empty string`);
+  if (!SENDER_TYPES.includes(entry.type)) errors.push(`${path}.type must be one of ${SENDER_TYPES.join(', ')}`);
+
+  if (!Array.isArray(entry.match) || entry.match.length === 0) {
+    errors.push(`${path}.match must be a non-empty array of domains or addresses`);
+  } else {
+    for (const m of entry.match) {
+      if (typeof m !== 'string' || !/^[^\s@]*@?[^\s@]+\.[^\s@]+$/.test(m)) {
+        errors.push(`${path}.match has an invalid domain or address: ${m}`);
+      } else if (seen.has(m.toLowerCase())) {
+        errors.push(`${m} is matched by both ${seen.get(m.toLowerCase())} and ${path}`);
+      } else {
+        seen.set(m.toLowerCase(), path);
+      }
+    }
+  }
+
+  if (entry.loanNumberProperty !== undefined && !LOAN_NUMBER_PROPERTIES.includes(entry.loanNumberProperty)) {
+    errors.push(`${path}.loanNumberProperty must be one of ${LOAN_NUMBER_PROPERTIES.join(', ')}`);
+  }
+  if (entry.subjectPatterns !== undefined) {
+    if (!Array.isArray(entry.subjectPatterns)) errors.push(`${path}.subjectPatterns must be an array`);
+    else entry.subjectPatterns.forEach((p, i) => checkPattern(p, `${path}.subjectPatterns[${i}]`, errors, 1));
+  }
+  if (entry.scoreBonus !== undefined && (typeof entry.scoreBonus !== 'number' || entry.scoreBonus < 0 || entry.scoreBonus > 20)) {
+    errors.push(`${path}.scoreBonus must be a number between 0 and 20`);
+  }
+}
+
+// Validate and compile into the structures the matcher uses
+export function loadEmailSyncConfig(env = process.env) {
+  let source = 'netlify/config/email-sync.json';
+  let raw = defaultConfig;
+  if (env.EMAIL_SYNC_CONFIG) {
+    let errors;
+    try {
+      raw = JSON.parse(env.EMAIL_SYNC_CONFIG);
+      errors = validateConfig(raw);
+    } catch (error) {
+      errors = [`not JSON: ${error.message}`];
+    }
+    if (errors.length === 0) {
+      source = 'EMAIL_SYNC_CONFIG';
+    } else {
+      console.error(`Invalid email-sync config (EMAIL_SYNC_CONFIG), using ${source}: ${errors.join('; ')}`);
+      source = `${source} (EMAIL_SYNC_CONFIG rejected)`;
+      raw = defaultConfig;
+    }
+  }
+
+  const errors = validateConfig(raw);
+  if (errors.length > 0) {
+    throw new Error(`Invalid email-sync config (${source}): ${errors.join('; ')}`);
+  }
+
+  // stage ID -> pipeline entry, for per-pipeline checks
+  const stages = new Map();
+  for (const [key, pipeline] of Object.entries(raw.pipelines)) {
+    for (const stageId of Object.values(pipeline.stages)) {
+      stages.set(stageId, { key, pipelineId: pipeline.pipelineId });
+    }
+  }
+
+  return {
+    version: raw.version,
+    source,
+    confidenceThreshold: raw.confidenceThreshold,
+    ambiguityMargin: raw.ambiguityMargin,
+    pipelines: raw.pipelines,
+    stages,
+    addressBlacklist: raw.addressBlacklist.map(p => new RegExp(p, 'i')),
+    loanNumberSubjectPattern: new RegExp(raw.subjectPatterns.loanNumber, 'g'),
+    dealNameSubjectPattern: new RegExp(
+      `(?:${raw.subjectPatterns.dealNamePrefixes.join('|')})(.+?)(?:\\s*[-–|]\\s*|$)`,
+      'gi'
+    ),
+    senders: (raw.senderDirectory || []).map(entry => ({
+      name: entry.name,
+      type: entry.type,
+      match: entry.match.map(m => m.toLowerCase()),
+      loanNumberProperty: entry.loanNumberProperty || null,
+      subjectPatterns: (entry.subjectPatterns || []).map(p => new RegExp(p, 'gi')),
+      scoreBonus: entry.scoreBonus || 0,
+    })),
+  };
+}
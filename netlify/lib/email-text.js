@@ -0,0 +1,156 @@
+/**
+ * Email body cleanup before identifier extraction.
+ *
+ * extractEmailContent({ text, html }) returns:
+ *   body      - the sender's new text, without signature
+ *   quoted    - quoted / forwarded history (older replies)
+ *   signature - the sign-off block split off the body (parsed separately,
+ *               at a lower weight, like quoted)
+ *
+ * HTML is converted to text when there is no plain-text part. Quoted history
+ * is found from HTML quote containers (Gmail, Outlook, Apple Mail, Yahoo,
+ * Thunderbird) and from plain-text markers ("On ... wrote:", "> " lines,
+ * "-----Original Message-----", Outlook "From:/Sent:" header blocks).
+ * Signatures are found from the "-- " delimiter, Gmail's signature container,
+ * or a closing sign-off ("Thanks,", "Best regards,") that follows the message
+ * and is itself followed by a few short lines (name, title, office address,
+ * phone) with no loan reference. A sign-off that opens the message
+ * ("Thanks!\nLoan 399536679 paid off") is not a signature.
+ */
+
+// Signature after a sign-off is at most this many non-empty lines, each short
+const MAX_SIGNATURE_LINES = 8;
+const MAX_SIGNATURE_LINE_CHARS = 80;
+
+// A line like this is part of the message, not a signature
+const LOAN_REFERENCE = /\b\d{7,10}\b|\b(?:loan|file|account|acct)\s*(?:#|no\b|number)/i;
+
+// ...unless it is a phone or fax number: a labelled one ("Fax: 6085550143")
+// or a bare 10-digit line
+const PHONE_LINE = /^\d{10}$|\b(?:tel|phone|cell|mobile|fax)\b\.?\s*:?\s*[+(\d]/i;
+
+function isLoanReference(line) {
+  const trimmed = line.trim();
+  return !PHONE_LINE.test(trimmed) && LOAN_REFERENCE.test(trimmed);
+}
+
+const NAMED_ENTITIES = {
+  nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'",
+  ndash: '–', mdash: '—', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+  hellip: '…', bull: '•', middot: '·', copy: '©', reg: '®', trade: '™', zwnj: '', zwj: '',
+};
+
+const HTML_QUOTE_START = /<blockquote\b[^>]*>|<div\b[^>]*\b(?:gmail_quote|divRplyFwdMsg|appendonsend|yahoo_quoted|moz-cite-prefix)\b[^>]*>|<hr\b[^>]*\bid=["']?stopSpelling[^>]*>/i;
+const HTML_SIGNATURE_START = /<div\b[^>]*\bgmail_signature\b[^>]*>/gi;
+
+const QUOTE_LINE_MARKERS = [
+  /^>/,
+  /^On\s.{5,200}\swrote:$/i,
+  /^-{2,}\s*Original Message\s*-{2,}$/i,
+  /^-{2,}\s*Forwarded message\s*-{2,}$/i,
+  /^Begin forwarded message:$/i,
+  /^_{20,}$/,
+];
+
+const SIGN_OFF = /^(thanks|thank you|many thanks|thanks again|best|best regards|kind regards|warm regards|regards|sincerely|cheers|respectfully|thx)[,.!]?$/i;
+const MOBILE_FOOTER = /^sent from my (iphone|ipad|android|mobile|samsung)/i;
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const n = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(n) && n > 0 && n <= 0x10ffff ? String.fromCodePoint(n) : entity;
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+export function htmlToText(html) {
+  if (!html) return '';
+  const text = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(head|style|script|title)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|tr|li|h[1-6]|table|blockquote|pre)>/gi, '\n')
+    .replace(/<(p|div|tr|li|h[1-6]|table|blockquote|pre)\b[^>]*>/gi, '\n')
+    .replace(/<hr\b[^>]*>/gi, '\n')
+    .replace(/<\/t[dh]>/gi, ' ')
+    .replace(/<[^>]+>/g, '');
+
+  return decodeEntities(text)
+    .split('\n')
+    .map(line => line.replace(/[ \t ]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Index of the first line of quoted history, or -1
+function findQuoteStart(lines) {
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+    if (QUOTE_LINE_MARKERS.some(p => p.test(line))) return i;
+
+    // "On Mon, Jan 5, 2026 at 9:14 AM Jane Doe <jane@example.com>" + "wrote:"
+    if (/^On\s/i.test(line) && i + 1 < lines.length && /^On\s.{5,200}\swrote:$/i.test(`${line} ${lines[i + 1].trim()}`)) {
+      return i;
+    }
+
+    // Outlook: From: ... followed by Sent: / Date: within a few lines
+    if (/^From:\s/i.test(line) && lines.slice(i + 1, i + 5).some(l => /^(Sent|Date):\s/i.test(l.trim()))) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+// Index of the first signature line, or -1
+function findSignatureStart(lines) {
+  const delimiter = lines.findIndex(l => /^--\s?$/.test(l));
+  if (delimiter >= 0) return delimiter;
+
+  for (let i = lines.length - 1; i >= 0; i--) {
+    if (!SIGN_OFF.test(lines[i].trim())) continue;
+    const hasBodyBefore = lines.slice(0, i).some(l => l.trim());
+    const after = lines.slice(i + 1).filter(l => l.trim());
+    const looksLikeSignature = after.length <= MAX_SIGNATURE_LINES &&
+      after.every(l => l.trim().length <= MAX_SIGNATURE_LINE_CHARS && !isLoanReference(l));
+    return hasBodyBefore && looksLikeSignature ? i + 1 : -1;
+  }
+
+  const footer = lines.findIndex(l => MOBILE_FOOTER.test(l.trim()));
+  return footer;
+}
+
+export function extractEmailContent({ text, html } = {}) {
+  let bodyText = (text || '').replace(/\r\n?/g, '\n');
+  let quoted = '';
+
+  if (!bodyText.trim() && html) {
+    const marked = html.replace(HTML_SIGNATURE_START, match => `<br>--<br>${match}`);
+    const quoteStart = marked.search(HTML_QUOTE_START);
+    bodyText = htmlToText(quoteStart >= 0 ? marked.slice(0, quoteStart) : marked);
+    if (quoteStart >= 0) quoted = htmlToText(marked.slice(quoteStart));
+  }
+
+  let lines = bodyText.split('\n');
+  const quoteStart = findQuoteStart(lines);
+  if (quoteStart >= 0) {
+    quoted = [lines.slice(quoteStart).join('\n'), quoted].filter(Boolean).join('\n');
+    lines = lines.slice(0, quoteStart);
+  }
+
+  let signature = '';
+  const signatureStart = findSignatureStart(lines);
+  if (signatureStart >= 0) {
+    signature = lines.slice(signatureStart).join('\n').replace(/^\s*--\s*/, '').trim();
+    lines = lines.slice(0, signatureStart);
+  }
+
+  return {
+    body: lines.join('\n').trim(),
+    quoted: quoted.split('\n').map(l => l.replace(/^(>\s?)+/, '')).join('\n').trim(),
+    signature,
+  };
+}
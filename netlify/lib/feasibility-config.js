@@ -0,0 +1,57 @@
+/**
+ * Feasibility-summary configuration.
+ *
+ * Loaded from the FEASIBILITY_CONFIG environment variable (JSON) when set,
+ * otherwise from netlify/config/feasibility-summary.json. Validated when the
+ * function module loads; an invalid config throws.
+ *
+ * Shape:
+ * {
+ *   triggerProperties: [deal property, ...]   // deal.propertyChange events for
+ *                                             // any other property are ignored
+ * }
+ */
+
+import defaultConfig from '../config/feasibility-summary.json' with { type: 'json' };
+import { RISK_PROPERTIES } from './feasibility-risk.js';
+
+// Written by the summary itself; changes to them must never trigger a run
+export const OUTPUT_PROPERTIES = [...Object.values(RISK_PROPERTIES), 'feasibility_input_hash'];
+
+export function validateFeasibilityConfig(raw) {
+  const errors = [];
+  if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) return ['config must be an object'];
+
+  if (!Array.isArray(raw.triggerProperties) || raw.triggerProperties.length === 0) {
+    errors.push('triggerProperties must be a non-empty array');
+  } else {
+    raw.triggerProperties.forEach((name, i) => {
+      if (typeof name !== 'string' || !name) errors.push(`triggerProperties[${i}] must be a property name`);
+      else if (OUTPUT_PROPERTIES.includes(name)) errors.push(`triggerProperties[${i}] (${name}) is written by the summary itself`);
+    });
+  }
+
+  return errors;
+}
+
+export function loadFeasibilityConfig(env = process.env) {
+  const source = env.FEASIBILITY_CONFIG ? 'FEASIBILITY_CONFIG' : 'netlify/config/feasibility-summary.json';
+  let raw = defaultConfig;
+  if (env.FEASIBILITY_CONFIG) {
+    try {
+      raw = JSON.parse(env.FEASIBILITY_CONFIG);
+    } catch (error) {
+      throw new Error(`Invalid feasibility config (FEASIBILITY_CONFIG is not JSON): ${error.message}`);
+    }
+  }
+
+  const errors = validateFeasibilityConfig(raw);
+  if (errors.length > 0) {
+    throw new Error(`Invalid feasibility config (${source}): ${errors.join('; ')}`);
+  }
+
+  return {
+    source,
+    triggerProperties: new Set(raw.triggerProperties),
+  };
+}
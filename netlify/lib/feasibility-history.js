@@ -0,0 +1,75 @@
+/**
+ * Version history of each deal's feasibility risk assessments.
+ *
+ * The deal properties only hold the latest assessment; every generated one is
+ * also kept here, in the `feasibility-history` blob store, keyed
+ * `<dealId>/<version, zero-padded>` so a deal's versions list in order:
+ * {
+ *   dealId, version, createdAt, model, promptVersion, inputHash, noteCount,
+ *   assessment,                 // as validated (lib/feasibility-risk.js)
+ *   changes: {                  // computed against the previous version
+ *     riskLevel: { from, to } | null,
+ *     addedCategories, removedCategories,
+ *     blockingItems: { from, to }
+ *   } | null,                   // null for a deal's first version
+ *   changeSummary               // Claude's "what changed" sentence(s), or null
+ * }
+ *
+ * Versions are kept indefinitely. A HubSpot note was not used because a new
+ * note on the deal would itself trigger another summary.
+ */
+
+import { openStore } from './store.js';
+
+const HISTORY_STORE = 'feasibility-history';
+
+const versionKey = (dealId, version) => `${dealId}/${String(version).padStart(6, '0')}`;
+
+async function listKeys(dealId) {
+  const { blobs } = await openStore(HISTORY_STORE).list({ prefix: `${dealId}/` });
+  return blobs.map(b => b.key).sort();
+}
+
+export async function getLatestVersion(dealId) {
+  const keys = await listKeys(String(dealId));
+  if (keys.length === 0) return null;
+  return openStore(HISTORY_STORE).get(keys[keys.length - 1], { type: 'json' });
+}
+
+// Newest first
+export async function listVersions(dealId, { limit = 20 } = {}) {
+  const store = openStore(HISTORY_STORE);
+  const keys = (await listKeys(String(dealId))).reverse().slice(0, limit);
+  return (await Promise.all(keys.map(k => store.get(k, { type: 'json' })))).filter(Boolean);
+}
+
+export function diffAssessments(previous, current) {
+  if (!previous) return null;
+  const before = new Set(previous.risks.map(r => r.category));
+  const after = new Set(current.risks.map(r => r.category));
+  return {
+    riskLevel: previous.risk_level !== current.risk_level ? { from: previous.risk_level, to: current.risk_level } : null,
+    addedCategories: [...after].filter(c => !before.has(c)),
+    removedCategories: [...before].filter(c => !after.has(c)),
+    blockingItems: { from: previous.blocking_items.length, to: current.blocking_items.length },
+  };
+}
+
+// Stores the next version after `previous` (the latest version, or null)
+export async function saveVersion(dealId, previous, { model, promptVersion, inputHash, noteCount, assessment }) {
+  const version = (previous?.version || 0) + 1;
+  const entry = {
+    dealId: String(dealId),
+    version,
+    createdAt: new Date().toISOString(),
+    model,
+    promptVersion,
+    inputHash,
+    noteCount,
+    assessment,
+    changes: diffAssessments(previous?.assessment, assessment),
+    changeSummary: assessment.changes_since_last || null,
+  };
+  await openStore(HISTORY_STORE).setJSON(versionKey(dealId, version), entry);
+  return entry;
+}
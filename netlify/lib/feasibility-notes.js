@@ -0,0 +1,161 @@
+/**
+ * Fits a deal's analyst notes into the feasibility prompt's token budget.
+ *
+ * Notes are kept whole, newest first, until the budget is used. Older notes
+ * that don't fit are condensed instead of dropped, since they can hold items
+ * that are still unresolved:
+ * - map: each older note is condensed on its own. The result is cached in
+ *   the `feasibility-note-summaries` blob store, keyed by note ID, with a
+ *   hash of the note text, so a note is only condensed again after an edit
+ * - reduce: if the condensed notes still exceed their share of the budget,
+ *   they are merged in groups, oldest first, until they fit
+ *
+ * Token counts are estimated from the text length (CHARS_PER_TOKEN), which
+ * errs on the high side for English prose.
+ */
+
+import crypto from 'node:crypto';
+import { openStore } from './store.js';
+
+const SUMMARY_STORE = 'feasibility-note-summaries';
+
+const CHARS_PER_TOKEN = 3.5;
+export const NOTE_SEPARATOR = '\n\n---\n\n';
+
+// Part of the notes budget held back for the condensed older notes
+const CONDENSED_SHARE = 0.3;
+
+// Notes shorter than a condensed note are used as they are
+const CONDENSE_MAX_TOKENS = 300;
+const REDUCE_MAX_TOKENS = 1200;
+// Condensed notes merged per reduce call
+const REDUCE_INPUT_TOKENS = 8000;
+const MAX_REDUCE_ROUNDS = 3;
+const CONDENSE_CONCURRENCY = 4;
+
+// Bump when the prompts change; cached summaries are then redone
+const CONDENSE_PROMPT_VERSION = 1;
+
+const CONDENSE_PROMPT = `You condense one feasibility analyst note from a real estate loan file for a later risk review. Keep every figure, date, party, discrepancy, open question, unresolved item and borrower request; drop greetings, filler and repetition. Reply with plain text only, at most 5 short sentences.`;
+
+const REDUCE_PROMPT = `You merge condensed feasibility analyst notes from one real estate loan file, given oldest first, into a single chronological digest for a later risk review. Keep figures, dates and every item that is still open; for items a later note resolved, say briefly that they were resolved. Reply with plain text only, no headers or markdown.`;
+
+export function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+export function truncateToTokens(text, tokens) {
+  const maxChars = Math.floor(tokens * CHARS_PER_TOKEN);
+  return text.length > maxChars ? `${text.slice(0, maxChars - 3)}...` : text;
+}
+
+function noteHash(note) {
+  return crypto.createHash('sha256').update(`condense:${CONDENSE_PROMPT_VERSION}\n${note.text}`, 'utf8').digest('hex');
+}
+
+async function complete(client, model, system, content, maxTokens) {
+  const response = await client.messages.create({
+    model,
+    max_tokens: maxTokens,
+    system,
+    messages: [{ role: 'user', content }],
+  });
+  const text = response.content.filter(b => b.type === 'text').map(b => b.text).join('').trim();
+  if (!text) throw new Error(`Empty condensed note text (stop reason ${response.stop_reason})`);
+  return text;
+}
+
+async function condenseNote(note, { client, model }) {
+  if (estimateTokens(note.text) <= CONDENSE_MAX_TOKENS) return note.text;
+
+  const store = openStore(SUMMARY_STORE);
+  const hash = noteHash(note);
+  const cached = await store.get(String(note.id), { type: 'json' });
+  if (cached?.hash === hash) return cached.summary;
+
+  const body = await complete(client, model, CONDENSE_PROMPT, note.text, CONDENSE_MAX_TOKENS);
+  const summary = `[${note.timestamp || 'unknown date'}] ${body}`;
+  await store.setJSON(String(note.id), { noteId: String(note.id), hash, summary, model, createdAt: new Date().toISOString() });
+  return summary;
+}
+
+// Map step, a few notes at a time; results stay in note order
+async function condenseNotes(notes, options) {
+  const summaries = new Array(notes.length);
+  let next = 0;
+  async function worker() {
+    while (next < notes.length) {
+      const i = next++;
+      summaries[i] = await condenseNote(notes[i], options);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(CONDENSE_CONCURRENCY, notes.length) }, worker));
+  return summaries;
+}
+
+// Reduce step: merge consecutive summaries until the whole fits the budget
+async function reduceSummaries(summaries, tokenBudget, { client, model }) {
+  let parts = summaries;
+  for (let round = 1; round <= MAX_REDUCE_ROUNDS; round++) {
+    if (estimateTokens(parts.join('\n\n')) <= tokenBudget) break;
+
+    const groups = [];
+    let group = [];
+    let groupTokens = 0;
+    for (const part of parts) {
+      const tokens = estimateTokens(part);
+      if (group.length > 0 && groupTokens + tokens > REDUCE_INPUT_TOKENS) {
+        groups.push(group);
+        group = [];
+        groupTokens = 0;
+      }
+      group.push(part);
+      groupTokens += tokens;
+    }
+    groups.push(group);
+
+    const maxTokens = Math.max(200, Math.min(REDUCE_MAX_TOKENS, Math.floor(tokenBudget / groups.length)));
+    parts = await Promise.all(groups.map(g => complete(client, model, REDUCE_PROMPT, g.join('\n\n'), maxTokens)));
+    console.log(`Merged condensed notes into ${parts.length} part(s) (round ${round})`);
+  }
+
+  // Only cuts anything with a budget far below a merged digest
+  return truncateToTokens(parts.join('\n\n'), tokenBudget);
+}
+
+/**
+ * notes: [{ id, timestamp, text }], oldest first, `text` as it goes in the
+ * prompt. Returns { notesText, keptNotes, condensedNotes }.
+ */
+export async function fitNotesToBudget(notes, tokenBudget, options) {
+  const separatorTokens = estimateTokens(NOTE_SEPARATOR);
+  const cost = note => estimateTokens(note.text) + separatorTokens;
+
+  const total = notes.reduce((sum, note) => sum + cost(note), 0);
+  if (total <= tokenBudget) {
+    return { notesText: notes.map(n => n.text).join(NOTE_SEPARATOR), keptNotes: notes.length, condensedNotes: 0 };
+  }
+
+  // Whole notes, newest first, until the recent share is used up
+  const recentBudget = Math.floor(tokenBudget * (1 - CONDENSED_SHARE));
+  let split = notes.length;
+  let used = 0;
+  while (split > 0 && used + cost(notes[split - 1]) <= recentBudget) {
+    used += cost(notes[split - 1]);
+    split--;
+  }
+  const older = notes.slice(0, split);
+  const recent = notes.slice(split);
+
+  const summaries = await condenseNotes(older, options);
+  const header = `[Condensed summary of ${older.length} earlier note(s), ` +
+    `${older[0].timestamp || 'unknown date'} to ${older[older.length - 1].timestamp || 'unknown date'}]`;
+  const digest = await reduceSummaries(summaries, tokenBudget - used - separatorTokens - estimateTokens(header), options);
+  console.log(`Kept ${recent.length} recent note(s) whole, condensed ${older.length} older note(s)`);
+
+  return {
+    notesText: [`${header}\n${digest}`, ...recent.map(n => n.text)].join(NOTE_SEPARATOR),
+    keptNotes: recent.length,
+    condensedNotes: older.length,
+  };
+}
@@ -0,0 +1,101 @@
+/**
+ * Debounced queue of deals whose feasibility summary needs regenerating.
+ *
+ * Note and deal events only mark the deal as pending; the summary is
+ * regenerated once the deal has been quiet for QUIET_PERIOD_MS, so a burst
+ * of note edits costs one Claude call. A deal that keeps changing is still
+ * refreshed MAX_DELAY_MS after its first request.
+ *
+ * Pending deals live in the `feasibility-pending` blob store, keyed by deal ID:
+ * { dealId, reasons, firstRequestedAt, lastRequestedAt, dueAt,   (times in ms)
+ *   failures, lastError }                                        (after a failed run)
+ *
+ * A deal whose run fails stays pending and is retried with a backoff; after
+ * MAX_FAILURES runs it is dropped. A new event for the deal starts it over.
+ *
+ * A single worker at a time drains due deals (lease in `feasibility-worker`).
+ */
+
+import { openStore } from './store.js';
+import { invokeBackgroundFunction } from './background.js';
+import { acquireLease, releaseLease } from './lease.js';
+
+const PENDING_STORE = 'feasibility-pending';
+const LOCK_STORE = 'feasibility-worker';
+
+const QUIET_PERIOD_MS = 2 * 60 * 1000;
+const MAX_DELAY_MS = 10 * 60 * 1000;
+const MAX_REASONS = 20;
+
+export const MAX_FAILURES = 5;
+const BACKOFF_MS = [5 * 60 * 1000, 15 * 60 * 1000, 60 * 60 * 1000, 4 * 60 * 60 * 1000];
+
+// The lease is renewed between deals, and one deal (generation retries plus
+// condensing older notes) can take minutes, so it lasts as long as a
+// background function may run. A worker that crashed or timed out loses it
+// after this.
+const LEASE_MS = 15 * 60 * 1000;
+
+// Mark a deal as pending; each request pushes its due time back
+export async function requestFeasibilityRefresh(dealId, reason) {
+  const store = openStore(PENDING_STORE);
+  const key = String(dealId);
+  const now = Date.now();
+
+  const existing = await store.get(key, { type: 'json' });
+  const firstRequestedAt = existing?.firstRequestedAt ?? now;
+  await store.setJSON(key, {
+    dealId: key,
+    reasons: [...new Set([...(existing?.reasons || []), reason])].slice(-MAX_REASONS),
+    firstRequestedAt,
+    lastRequestedAt: now,
+    dueAt: Math.min(now + QUIET_PERIOD_MS, firstRequestedAt + MAX_DELAY_MS),
+  });
+}
+
+export async function listPendingRefreshes() {
+  const store = openStore(PENDING_STORE);
+  const { blobs } = await store.list();
+  const entries = await Promise.all(blobs.map(b => store.get(b.key, { type: 'json' })));
+  return entries.filter(Boolean).sort((a, b) => a.dueAt - b.dueAt);
+}
+
+// Drop the entry unless another event arrived while the deal was processed;
+// in that case it stays pending for another run
+export async function completeRefresh(entry) {
+  const store = openStore(PENDING_STORE);
+  const current = await store.get(entry.dealId, { type: 'json' });
+  if (current && current.lastRequestedAt !== entry.lastRequestedAt) return false;
+  await store.delete(entry.dealId);
+  return true;
+}
+
+// Keep the deal pending for a retry after a failed run, or drop it once it
+// is out of attempts. An event that arrived meanwhile already re-queued it.
+export async function recordRefreshFailure(entry, error) {
+  const store = openStore(PENDING_STORE);
+  const current = await store.get(entry.dealId, { type: 'json' });
+  if (current && current.lastRequestedAt !== entry.lastRequestedAt) return { requeued: true };
+
+  const failures = (entry.failures || 0) + 1;
+  if (failures >= MAX_FAILURES) {
+    await store.delete(entry.dealId);
+    return { dropped: true, failures };
+  }
+
+  const delay = BACKOFF_MS[Math.min(failures, BACKOFF_MS.length) - 1];
+  await store.setJSON(entry.dealId, { ...entry, failures, lastError: error, dueAt: Date.now() + delay });
+  return { dropped: false, failures, retryInMs: delay };
+}
+
+export async function acquireFeasibilityLease(runId) {
+  return acquireLease(LOCK_STORE, runId, LEASE_MS);
+}
+
+export async function releaseFeasibilityLease(runId) {
+  await releaseLease(LOCK_STORE, runId);
+}
+
+export async function startFeasibilityWorker() {
+  await invokeBackgroundFunction('feasibility-summary-worker-background');
+}
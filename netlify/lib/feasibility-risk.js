@@ -0,0 +1,148 @@
+/**
+ * Structured feasibility risk assessment.
+ *
+ * Claude returns the assessment by calling the `record_risk_assessment` tool,
+ * whose input follows RISK_ASSESSMENT_SCHEMA:
+ * {
+ *   risk_level: 'low' | 'moderate' | 'high' | 'critical',
+ *   risks: [{ category, severity: 'low' | 'medium' | 'high', description }],
+ *   blocking_items: ['...'],      // items needing borrower action before feasibility
+ *   narrative: '...',             // the 3-4 sentence summary paragraph
+ *   changes_since_last: '...'     // what changed since the previous assessment;
+ *                                 // required when one was supplied, else omitted
+ * }
+ *
+ * The tool schema only guides the model, so every assessment is checked with
+ * validateRiskAssessment before anything is written to the deal. Each part
+ * goes to its own deal property (RISK_PROPERTIES) so deals can be filtered
+ * by risk level, category and blocking items in HubSpot.
+ */
+
+export const RISK_LEVELS = ['low', 'moderate', 'high', 'critical'];
+export const RISK_SEVERITIES = ['low', 'medium', 'high'];
+export const RISK_CATEGORIES = [
+  'budget', 'scope', 'valuation', 'leverage', 'property', 'title_legal',
+  'borrower', 'contractor', 'timeline', 'documentation', 'other',
+];
+
+const MAX_RISKS = 10;
+const MAX_BLOCKING_ITEMS = 10;
+const MAX_DESCRIPTION_CHARS = 500;
+const MAX_NARRATIVE_CHARS = 2000;
+const MAX_CHANGES_CHARS = 1000;
+
+export const RISK_PROPERTIES = {
+  narrative: 'feasibility_summary',
+  riskLevel: 'feasibility_risk_level',
+  risks: 'feasibility_risks',
+  categories: 'feasibility_risk_categories',
+  blockingItems: 'feasibility_blocking_items',
+  blockingItemCount: 'feasibility_blocking_item_count',
+};
+
+export const RISK_ASSESSMENT_TOOL = {
+  name: 'record_risk_assessment',
+  description: 'Record the feasibility risk assessment for the deal.',
+  input_schema: {
+    type: 'object',
+    properties: {
+      risk_level: { type: 'string', enum: RISK_LEVELS, description: 'Overall feasibility risk of the deal' },
+      risks: {
+        type: 'array',
+        maxItems: MAX_RISKS,
+        items: {
+          type: 'object',
+          properties: {
+            category: { type: 'string', enum: RISK_CATEGORIES },
+            severity: { type: 'string', enum: RISK_SEVERITIES },
+            description: { type: 'string', description: 'One sentence naming the risk and the figures behind it' },
+          },
+          required: ['category', 'severity', 'description'],
+          additionalProperties: false,
+        },
+      },
+      blocking_items: {
+        type: 'array',
+        maxItems: MAX_BLOCKING_ITEMS,
+        items: { type: 'string' },
+        description: 'Items blocking the feasibility order that need borrower action; empty if none',
+      },
+      narrative: { type: 'string', description: 'Concise 3-4 sentence risk summary paragraph, plain text' },
+      changes_since_last: {
+        type: 'string',
+        description: 'Only when a previous assessment is given: 1-2 sentences on what changed since it, plain text',
+      },
+    },
+    required: ['risk_level', 'risks', 'blocking_items', 'narrative'],
+    additionalProperties: false,
+  },
+};
+
+function isNonEmptyString(value, maxChars) {
+  return typeof value === 'string' && value.trim().length > 0 && value.length <= maxChars;
+}
+
+// Returns a list of problems; empty when the assessment can be written.
+// `requireChanges` when the prompt included a previous assessment.
+export function validateRiskAssessment(value, { requireChanges = false } = {}) {
+  const errors = [];
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) return ['assessment must be an object'];
+
+  const allowed = Object.keys(RISK_ASSESSMENT_TOOL.input_schema.properties);
+  for (const key of Object.keys(value)) {
+    if (!allowed.includes(key)) errors.push(`unexpected field ${key}`);
+  }
+
+  if (!RISK_LEVELS.includes(value.risk_level)) errors.push(`risk_level must be one of ${RISK_LEVELS.join(', ')}`);
+
+  if (!Array.isArray(value.risks) || value.risks.length > MAX_RISKS) {
+    errors.push(`risks must be an array of at most ${MAX_RISKS} items`);
+  } else {
+    value.risks.forEach((risk, i) => {
+      if (risk === null || typeof risk !== 'object') return errors.push(`risks[${i}] must be an object`);
+      if (!RISK_CATEGORIES.includes(risk.category)) errors.push(`risks[${i}].category must be one of ${RISK_CATEGORIES.join(', ')}`);
+      if (!RISK_SEVERITIES.includes(risk.severity)) errors.push(`risks[${i}].severity must be one of ${RISK_SEVERITIES.join(', ')}`);
+      if (!isNonEmptyString(risk.description, MAX_DESCRIPTION_CHARS)) {
+        errors.push(`risks[${i}].description must be a non-empty string of at most ${MAX_DESCRIPTION_CHARS} characters`);
+      }
+    });
+  }
+
+  if (!Array.isArray(value.blocking_items) || value.blocking_items.length > MAX_BLOCKING_ITEMS) {
+    errors.push(`blocking_items must be an array of at most ${MAX_BLOCKING_ITEMS} items`);
+  } else {
+    value.blocking_items.forEach((item, i) => {
+      if (!isNonEmptyString(item, MAX_DESCRIPTION_CHARS)) {
+        errors.push(`blocking_items[${i}] must be a non-empty string of at most ${MAX_DESCRIPTION_CHARS} characters`);
+      }
+    });
+  }
+
+  if (!isNonEmptyString(value.narrative, MAX_NARRATIVE_CHARS)) {
+    errors.push(`narrative must be a non-empty string of at most ${MAX_NARRATIVE_CHARS} characters`);
+  }
+
+  if (requireChanges || value.changes_since_last !== undefined) {
+    if (!isNonEmptyString(value.changes_since_last, MAX_CHANGES_CHARS)) {
+      errors.push(`changes_since_last must be a non-empty string of at most ${MAX_CHANGES_CHARS} characters`);
+    }
+  }
+
+  return errors;
+}
+
+// Deal property values for a validated assessment
+export function riskAssessmentProperties(assessment) {
+  const categories = [...new Set(assessment.risks.map(r => r.category))];
+  return {
+    [RISK_PROPERTIES.narrative]: assessment.narrative.trim(),
+    [RISK_PROPERTIES.riskLevel]: assessment.risk_level,
+    [RISK_PROPERTIES.risks]: assessment.risks
+      .map(r => `${r.severity.toUpperCase()} - ${r.category}: ${r.description.trim()}`)
+      .join('\n'),
+    // Multiple checkboxes property: values separated by semicolons
+    [RISK_PROPERTIES.categories]: categories.join(';'),
+    [RISK_PROPERTIES.blockingItems]: assessment.blocking_items.map(item => `- ${item.trim()}`).join('\n'),
+    [RISK_PROPERTIES.blockingItemCount]: String(assessment.blocking_items.length),
+  };
+}
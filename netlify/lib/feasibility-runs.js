@@ -0,0 +1,45 @@
+/**
+ * Log of feasibility summary runs, shown on the operations dashboard.
+ *
+ * Each run is one blob in the `feasibility-runs` store, keyed
+ * `<YYYY-MM-DD>/<ms>-<random>` like the email-sync outcomes. A run looks like:
+ * { dealId, dealName, status: 'updated' | 'skipped' | 'error',
+ *   reason, noteCount, summaryChars, error, durationMs, finishedAt }
+ */
+
+import { openStore } from './store.js';
+import { DAY_MS, bucketKey, dayKey, pruneOldDays } from './day-buckets.js';
+
+const RUNS_STORE = 'feasibility-runs';
+const RETENTION_DAYS = 30;
+
+export async function recordFeasibilityRun(run) {
+  const now = Date.now();
+  const store = openStore(RUNS_STORE);
+
+  await store.setJSON(
+    bucketKey(now),
+    { ...run, dealId: String(run.dealId), finishedAt: new Date(now).toISOString() }
+  );
+
+  await pruneOldDays(store, RETENTION_DAYS, now);
+}
+
+// Most recent runs first, from the last `days` days
+export async function listFeasibilityRuns({ days = 7, limit = 50 } = {}) {
+  const store = openStore(RUNS_STORE);
+  const { directories } = await store.list({ directories: true });
+  const recentDays = directories
+    .filter(d => d >= dayKey(Date.now() - days * DAY_MS))
+    .sort()
+    .reverse();
+
+  const runs = [];
+  for (const day of recentDays) {
+    const { blobs } = await store.list({ prefix: `${day}/` });
+    const keys = blobs.map(b => b.key).sort().reverse().slice(0, limit - runs.length);
+    runs.push(...(await Promise.all(keys.map(k => store.get(k, { type: 'json' })))).filter(Boolean));
+    if (runs.length >= limit) break;
+  }
+  return runs;
+}
@@ -0,0 +1,22 @@
+/**
+ * Request/response helpers shared by the HTTP function handlers.
+ */
+
+const DEFAULT_WINDOW_DAYS = 7;
+
+export function json(statusCode, body) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  };
+}
+
+// Length of a stats window from the query string: ?hours=24 or ?days=7
+// (the default)
+export function windowMs(params) {
+  const hours = Number(params.hours);
+  if (hours > 0) return hours * 60 * 60 * 1000;
+  const days = Number(params.days) > 0 ? Number(params.days) : DEFAULT_WINDOW_DAYS;
+  return days * 24 * 60 * 60 * 1000;
+}
@@ -0,0 +1,198 @@
+/**
+ * Shared HubSpot API client for every function.
+ *
+ * - hubspotRequest: one call, rate limited, retried on 429 (honoring
+ *   Retry-After) and 502/503/504, throwing HubSpotError subclasses that
+ *   carry the status code
+ * - getAllPages: follows `paging.next.after` on GET list endpoints
+ * - batchRead / batchReadAssociations: split ID lists into chunks of 100
+ * - getAssociations: v4 associations of one object, all pages, [] on 404
+ *
+ * The rate limiter is per function instance: it keeps this instance under
+ * HubSpot's per-second and per-10-second limits, and a 429 with Retry-After
+ * pauses every request from the instance, not just the one that got it.
+ */
+
+const HUBSPOT_API_BASE = process.env.HUBSPOT_API_BASE || 'https://api.hubapi.com';
+
+const MAX_RETRIES = 3;
+const RETRYABLE_STATUSES = new Set([429, 502, 503, 504]);
+const BATCH_SIZE = 100;
+const ASSOCIATION_PAGE_SIZE = 500;
+
+// Private apps get 100 requests / 10 s and a per-second cap; stay a bit under both
+const RATE_WINDOWS = [
+  { ms: 1000, max: 9 },
+  { ms: 10 * 1000, max: 90 },
+];
+
+export class HubSpotError extends Error {
+  constructor(message, { status, endpoint, category = null } = {}) {
+    super(message);
+    this.name = 'HubSpotError';
+    this.status = status;
+    this.endpoint = endpoint;
+    this.category = category;
+  }
+}
+
+export class HubSpotNotFoundError extends HubSpotError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'HubSpotNotFoundError';
+  }
+}
+
+export class HubSpotAuthError extends HubSpotError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'HubSpotAuthError';
+  }
+}
+
+export class HubSpotRateLimitError extends HubSpotError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'HubSpotRateLimitError';
+  }
+}
+
+function errorFor(status, message, details) {
+  if (status === 404) return new HubSpotNotFoundError(message, details);
+  if (status === 401 || status === 403) return new HubSpotAuthError(message, details);
+  if (status === 429) return new HubSpotRateLimitError(message, details);
+  return new HubSpotError(message, details);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// --- Rate limiter ---
+
+const sentAt = [];
+let pausedUntil = 0;
+
+async function waitForSlot() {
+  while (true) {
+    const now = Date.now();
+    const longest = RATE_WINDOWS[RATE_WINDOWS.length - 1].ms;
+    while (sentAt.length > 0 && now - sentAt[0] >= longest) sentAt.shift();
+
+    let wait = Math.max(0, pausedUntil - now);
+    for (const { ms, max } of RATE_WINDOWS) {
+      const recent = sentAt.filter(t => now - t < ms);
+      if (recent.length >= max) wait = Math.max(wait, recent[0] + ms - now);
+    }
+
+    if (wait === 0) {
+      sentAt.push(now);
+      return;
+    }
+    await sleep(wait);
+  }
+}
+
+function retryDelayMs(response, attempt) {
+  const retryAfter = Number(response.headers.get('retry-after'));
+  if (retryAfter > 0) return retryAfter * 1000;
+  return Math.pow(2, attempt) * 1000;
+}
+
+// --- Requests ---
+
+export async function hubspotRequest(apiKey, endpoint, options = {}) {
+  const url = `${HUBSPOT_API_BASE}${endpoint}`;
+  const headers = {
+    'Authorization': `Bearer ${apiKey}`,
+    'Content-Type': 'application/json',
+    ...options.headers
+  };
+
+  for (let attempt = 0; ; attempt++) {
+    await waitForSlot();
+    const response = await fetch(url, { ...options, headers });
+
+    if (RETRYABLE_STATUSES.has(response.status) && attempt < MAX_RETRIES) {
+      const delay = retryDelayMs(response, attempt);
+      if (response.status === 429) pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+      console.warn(`HubSpot ${response.status} on ${endpoint}, retrying in ${delay}ms (attempt ${attempt + 1}/${MAX_RETRIES})`);
+      await sleep(delay);
+      continue;
+    }
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw errorFor(
+        response.status,
+        `HubSpot API Error (${response.status}): ${error.message || response.statusText}`,
+        { status: response.status, endpoint, category: error.category || null }
+      );
+    }
+
+    if (response.status === 204) return {};
+    return response.json();
+  }
+}
+
+// All results of a GET list endpoint, following the `after` cursor
+export async function getAllPages(apiKey, endpoint, { limit = 100 } = {}) {
+  const results = [];
+  const separator = endpoint.includes('?') ? '&' : '?';
+  let after = null;
+
+  do {
+    const query = `limit=${limit}${after ? `&after=${encodeURIComponent(after)}` : ''}`;
+    const data = await hubspotRequest(apiKey, `${endpoint}${separator}${query}`);
+    results.push(...(data.results || []));
+    after = data.paging?.next?.after || null;
+  } while (after);
+
+  return results;
+}
+
+function chunk(items, size = BATCH_SIZE) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+}
+
+// Objects by ID, any number of IDs; IDs HubSpot doesn't know are left out
+export async function batchRead(apiKey, objectType, ids, properties) {
+  const results = [];
+  for (const ids100 of chunk([...new Set(ids.map(String))])) {
+    const data = await hubspotRequest(apiKey, `/crm/v3/objects/${objectType}/batch/read`, {
+      method: 'POST',
+      body: JSON.stringify({ properties, inputs: ids100.map(id => ({ id })) })
+    });
+    results.push(...(data.results || []));
+  }
+  return results;
+}
+
+// Map of from-object ID -> associated object IDs (objects without any are omitted)
+export async function batchReadAssociations(apiKey, fromType, toType, ids) {
+  const associations = new Map();
+  for (const ids100 of chunk([...new Set(ids.map(String))])) {
+    const data = await hubspotRequest(apiKey, `/crm/v4/associations/${fromType}/${toType}/batch/read`, {
+      method: 'POST',
+      body: JSON.stringify({ inputs: ids100.map(id => ({ id })) })
+    });
+    for (const r of data.results || []) {
+      if ((r.to || []).length > 0) associations.set(String(r.from.id), r.to.map(t => String(t.toObjectId)));
+    }
+  }
+  return associations;
+}
+
+// v4 association rows ({ toObjectId, associationTypes }) of one object
+export async function getAssociations(apiKey, fromType, id, toType) {
+  try {
+    return await getAllPages(apiKey, `/crm/v4/objects/${fromType}/${id}/associations/${toType}`, {
+      limit: ASSOCIATION_PAGE_SIZE,
+    });
+  } catch (error) {
+    if (error instanceof HubSpotNotFoundError) return [];
+    throw error;
+  }
+}
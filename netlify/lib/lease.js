@@ -0,0 +1,35 @@
+/**
+ * Single-runner leases for the background workers.
+ *
+ * Blobs have no conditional writes, so a lease is best effort: write it,
+ * then read it back to see whose write won. The holder renews it as it
+ * goes; a runner that stops renewing (crashed, timed out) loses it after
+ * `ttlMs`.
+ *
+ * A store holds one lease by default; pass `key` for one lease per job.
+ */
+
+import { openStore } from './store.js';
+
+const LEASE_KEY = 'lease';
+
+export async function acquireLease(storeName, runId, ttlMs, key = LEASE_KEY) {
+  const store = openStore(storeName);
+  const current = await store.get(key, { type: 'json' });
+  if (current && current.runId !== runId && current.expiresAt > Date.now()) return false;
+
+  await store.setJSON(key, { runId, expiresAt: Date.now() + ttlMs });
+  const confirmed = await store.get(key, { type: 'json' });
+  return confirmed?.runId === runId;
+}
+
+export async function releaseLease(storeName, runId, key = LEASE_KEY) {
+  const store = openStore(storeName);
+  const current = await store.get(key, { type: 'json' });
+  if (current?.runId === runId) await store.delete(key);
+}
+
+export async function isLeaseHeld(storeName, key = LEASE_KEY) {
+  const current = await openStore(storeName).get(key, { type: 'json' });
+  return Boolean(current && current.expiresAt > Date.now());
+}
@@ -0,0 +1,234 @@
+/**
+ * Rules learned from manual corrections of email -> deal associations.
+ *
+ * Every association the sync makes is remembered in the `email-sync-decisions`
+ * blob store (keyed by email ID, kept 90 days):
+ * {
+ *   emailId, fromEmail, dealIds, identifiers: [{ type, value }],
+ *   added: [dealId], removed: [dealId], decidedAt, correctedAt?
+ * }
+ *
+ * `identifiers` are only those behind the sync's matches (each match's
+ * matchValue), never ones seen only in quoted reply history or the
+ * signature, so a quoted loan number can't be learned as this sender's.
+ *
+ * Association webhooks update `added` / `removed`. Once every deal the sync
+ * picked has been removed and another deal added, the email counts as
+ * corrected: each identifier becomes a rule in `email-sync-match-rules`,
+ * keyed `<sender hash>/<identifier hash>`:
+ * {
+ *   ruleId, sender, identifierType, identifier, dealId,
+ *   corrections, hits, createdAt, updatedAt, lastUsedAt, sourceEmailId
+ * }
+ * findMatch checks these rules before any search.
+ */
+
+import crypto from 'node:crypto';
+import { openStore } from './store.js';
+import { normalizeAddress } from './address-normalizer.js';
+import { tokenize } from './name-similarity.js';
+
+const DECISIONS_STORE = 'email-sync-decisions';
+const RULES_STORE = 'email-sync-match-rules';
+
+const DECISION_RETENTION_MS = 90 * 24 * 60 * 60 * 1000;
+const PRUNE_PROBABILITY = 0.02;
+
+const EMAIL_OBJECT_TYPE = '0-49';
+const DEAL_OBJECT_TYPE = '0-3';
+
+function hash(value) {
+  return crypto.createHash('sha256').update(value).digest('hex').slice(0, 32);
+}
+
+// Same identifier written differently ("123 N Main St" / "123 North Main Street")
+// maps to the same rule
+export function identifierKey(type, value) {
+  if (type === 'address') {
+    const a = normalizeAddress(value);
+    if (a?.houseNumber && a.streetName) return [a.houseNumber, a.streetName, a.unit].filter(Boolean).join(' ');
+  }
+  if (type === 'deal_name') return tokenize(value).sort().join(' ');
+  return String(value).trim().toLowerCase();
+}
+
+export function identifiersOf(parsed) {
+  return [
+    ...parsed.loanNumbers.map(value => ({ type: 'loan_number', value })),
+    ...parsed.addresses.map(value => ({ type: 'address', value })),
+    ...parsed.dealNames.map(value => ({ type: 'deal_name', value })),
+  ];
+}
+
+const LEARNABLE_TYPES = ['loan_number', 'address', 'deal_name'];
+
+// The identifiers the matches were made on; matches made through a
+// quoted-only or signature-only identifier, a contact or a thread have none
+// to learn from
+export function matchIdentifiers(matches) {
+  const identifiers = [];
+  for (const m of matches) {
+    const type = m.matchType === 'learned_rule' ? m.rule?.identifierType : m.matchType;
+    if (!LEARNABLE_TYPES.includes(type) || m.lowWeight || !m.matchValue) continue;
+    if (!identifiers.some(i => i.type === type && i.value === m.matchValue)) identifiers.push({ type, value: m.matchValue });
+  }
+  return identifiers;
+}
+
+function ruleKey(sender, type, identifier) {
+  return `${hash(sender)}/${hash(`${type}:${identifier}`)}`;
+}
+
+// --- Decisions ---
+
+export async function recordSyncDecision({ emailId, fromEmail, matches }) {
+  const store = openStore(DECISIONS_STORE);
+  await store.setJSON(String(emailId), {
+    emailId: String(emailId),
+    fromEmail: fromEmail || null,
+    dealIds: matches.map(m => String(m.deal.id)),
+    identifiers: matchIdentifiers(matches),
+    added: [],
+    removed: [],
+    decidedAt: new Date().toISOString(),
+  });
+
+  if (Math.random() < PRUNE_PROBABILITY) {
+    pruneDecisions(store).catch(err => console.warn(`Decision pruning failed: ${err.message}`));
+  }
+}
+
+async function pruneDecisions(store) {
+  const { blobs } = await store.list();
+  for (const b of blobs) {
+    const decision = await store.get(b.key, { type: 'json' });
+    if (!decision || Date.now() - Date.parse(decision.decidedAt) > DECISION_RETENTION_MS) {
+      await store.delete(b.key);
+    }
+  }
+}
+
+// { emailId, dealId, removed } for an email <-> deal association event, else null.
+// Handles object.associationChange (object type IDs) and the older
+// associationType strings such as "EMAIL_TO_DEAL".
+export function parseAssociationEvent(evt) {
+  if (!/associationChange$/.test(evt.subscriptionType || '')) return null;
+
+  let emailId = null;
+  let dealId = null;
+  if (evt.fromObjectTypeId && evt.toObjectTypeId) {
+    if (evt.fromObjectTypeId === EMAIL_OBJECT_TYPE && evt.toObjectTypeId === DEAL_OBJECT_TYPE) {
+      [emailId, dealId] = [evt.fromObjectId, evt.toObjectId];
+    } else if (evt.fromObjectTypeId === DEAL_OBJECT_TYPE && evt.toObjectTypeId === EMAIL_OBJECT_TYPE) {
+      [emailId, dealId] = [evt.toObjectId, evt.fromObjectId];
+    }
+  } else if (evt.associationType === 'EMAIL_TO_DEAL') {
+    [emailId, dealId] = [evt.fromObjectId, evt.toObjectId];
+  } else if (evt.associationType === 'DEAL_TO_EMAIL') {
+    [emailId, dealId] = [evt.toObjectId, evt.fromObjectId];
+  }
+
+  if (!emailId || !dealId) return null;
+  return { emailId: String(emailId), dealId: String(dealId), removed: Boolean(evt.associationRemoved) };
+}
+
+// Apply one association change; returns the rules written when it completes
+// a correction, [] otherwise
+export async function applyAssociationChange({ emailId, dealId, removed }) {
+  const store = openStore(DECISIONS_STORE);
+  const decision = await store.get(emailId, { type: 'json' });
+  if (!decision) return [];
+
+  if (removed) {
+    if (decision.dealIds.includes(dealId) && !decision.removed.includes(dealId)) decision.removed.push(dealId);
+    decision.added = decision.added.filter(id => id !== dealId);
+  } else if (!decision.dealIds.includes(dealId)) {
+    if (!decision.added.includes(dealId)) decision.added.push(dealId);
+  } else {
+    // Our own association (or the original deal put back)
+    decision.removed = decision.removed.filter(id => id !== dealId);
+  }
+
+  const corrected = decision.added.length > 0 && decision.dealIds.every(id => decision.removed.includes(id));
+  let rules = [];
+  if (corrected && !decision.correctedAt) {
+    decision.correctedAt = new Date().toISOString();
+    rules = await learnFromCorrection(decision);
+  }
+
+  await store.setJSON(emailId, decision);
+  return rules;
+}
+
+async function learnFromCorrection(decision) {
+  if (!decision.fromEmail || decision.identifiers.length === 0) return [];
+  // With several replacement deals there is no single right answer to learn
+  if (decision.added.length !== 1) return [];
+
+  const [dealId] = decision.added;
+  const sender = decision.fromEmail.toLowerCase();
+  const store = openStore(RULES_STORE);
+  const now = new Date().toISOString();
+  const rules = [];
+
+  for (const { type, value } of decision.identifiers) {
+    const identifier = identifierKey(type, value);
+    if (!identifier) continue;
+    const ruleId = ruleKey(sender, type, identifier);
+    const existing = await store.get(ruleId, { type: 'json' });
+    const rule = {
+      ruleId,
+      sender,
+      identifierType: type,
+      identifier,
+      dealId,
+      corrections: existing?.dealId === dealId ? existing.corrections + 1 : 1,
+      hits: existing?.dealId === dealId ? existing.hits : 0,
+      createdAt: existing?.dealId === dealId ? existing.createdAt : now,
+      updatedAt: now,
+      lastUsedAt: existing?.dealId === dealId ? existing.lastUsedAt : null,
+      sourceEmailId: decision.emailId,
+    };
+    await store.setJSON(ruleId, rule);
+    rules.push(rule);
+  }
+  return rules;
+}
+
+// --- Rules ---
+
+// Rules for this sender matching any of the parsed identifiers
+export async function findRulesFor(fromEmail, parsed) {
+  if (!fromEmail) return [];
+  const sender = fromEmail.toLowerCase();
+  const store = openStore(RULES_STORE);
+  const rules = [];
+
+  for (const { type, value } of identifiersOf(parsed)) {
+    const identifier = identifierKey(type, value);
+    if (!identifier) continue;
+    const rule = await store.get(ruleKey(sender, type, identifier), { type: 'json' });
+    if (rule && !rules.some(r => r.ruleId === rule.ruleId)) rules.push({ ...rule, matchValue: value });
+  }
+  return rules;
+}
+
+export async function recordRuleHit(rule) {
+  const store = openStore(RULES_STORE);
+  const current = await store.get(rule.ruleId, { type: 'json' });
+  if (!current) return;
+  await store.setJSON(rule.ruleId, { ...current, hits: current.hits + 1, lastUsedAt: new Date().toISOString() });
+}
+
+export async function listRules({ sender = null } = {}) {
+  const store = openStore(RULES_STORE);
+  const { blobs } = await store.list(sender ? { prefix: `${hash(sender.toLowerCase())}/` } : {});
+  const rules = await Promise.all(blobs.map(b => store.get(b.key, { type: 'json' })));
+  return rules
+    .filter(Boolean)
+    .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+}
+
+export async function deleteRule(ruleId) {
+  await openStore(RULES_STORE).delete(ruleId);
+}
@@ -0,0 +1,100 @@
+/**
+ * Persistent record of email-sync outcomes, used by the stats endpoint.
+ *
+ * Each call to recordOutcomes writes one blob holding that batch's outcomes,
+ * keyed `<YYYY-MM-DD>/<ms>-<random>` so a time window only reads the days
+ * it covers. An outcome looks like:
+ * { emailId, status: 'matched' | 'review' | 'unmatched' | 'error',
+ *   matchType, confidence, dealId, dealName, dealstage, subject, error, recordedAt }
+ */
+
+import { openStore } from './store.js';
+import { bucketKey, bucketKeyTime, dayKey, pruneOldDays } from './day-buckets.js';
+
+const OUTCOMES_STORE = 'email-sync-outcomes';
+const RETENTION_DAYS = 90;
+
+export async function recordOutcomes(outcomes) {
+  if (outcomes.length === 0) return;
+  const now = Date.now();
+  const store = openStore(OUTCOMES_STORE);
+  const recordedAt = new Date(now).toISOString();
+
+  await store.setJSON(
+    bucketKey(now),
+    outcomes.map(o => ({ ...o, emailId: String(o.emailId), recordedAt }))
+  );
+
+  await pruneOldDays(store, RETENTION_DAYS, now);
+}
+
+export async function loadOutcomes(fromMs, toMs = Date.now()) {
+  const store = openStore(OUTCOMES_STORE);
+  const { directories } = await store.list({ directories: true });
+  const days = directories.filter(d => d >= dayKey(fromMs) && d <= dayKey(toMs));
+
+  const outcomes = [];
+  for (const day of days) {
+    const { blobs } = await store.list({ prefix: `${day}/` });
+    const inWindow = blobs.filter(b => {
+      const ms = bucketKeyTime(b.key);
+      return ms >= fromMs && ms <= toMs;
+    });
+    const batches = await Promise.all(inWindow.map(b => store.get(b.key, { type: 'json' })));
+    for (const batch of batches) outcomes.push(...(batch || []));
+  }
+
+  return outcomes.sort((a, b) => a.recordedAt.localeCompare(b.recordedAt));
+}
+
+const CONFIDENCE_BUCKETS = [
+  { label: '<65', min: 0, max: 64 },
+  { label: '65-69', min: 65, max: 69 },
+  { label: '70-79', min: 70, max: 79 },
+  { label: '80-89', min: 80, max: 89 },
+  { label: '90-99', min: 90, max: 99 },
+  { label: '100', min: 100, max: 100 },
+];
+
+export function summarizeOutcomes(outcomes, { recentLimit = 20 } = {}) {
+  const byStatus = { matched: 0, review: 0, unmatched: 0, error: 0 };
+  const byMatchType = {};
+  const byStage = {};
+  const confidenceHistogram = CONFIDENCE_BUCKETS.map(b => ({ range: b.label, count: 0 }));
+  const errors = {};
+
+  for (const o of outcomes) {
+    byStatus[o.status] = (byStatus[o.status] || 0) + 1;
+    if (o.status === 'matched') {
+      byMatchType[o.matchType] = (byMatchType[o.matchType] || 0) + 1;
+      if (o.dealstage) byStage[o.dealstage] = (byStage[o.dealstage] || 0) + 1;
+      const i = CONFIDENCE_BUCKETS.findIndex(b => o.confidence >= b.min && o.confidence <= b.max);
+      if (i >= 0) confidenceHistogram[i].count++;
+    } else if (o.status === 'error') {
+      const key = (o.error || 'unknown').slice(0, 120);
+      errors[key] = (errors[key] || 0) + 1;
+    }
+  }
+
+  const total = outcomes.length;
+  return {
+    total,
+    matchRate: total > 0 ? Math.round((byStatus.matched / total) * 1000) / 10 : null,
+    byStatus,
+    byMatchType,
+    byStage,
+    confidenceHistogram,
+    errors,
+    recentUnmatched: outcomes
+      .filter(o => o.status === 'review' || o.status === 'unmatched')
+      .slice(-recentLimit)
+      .reverse()
+      .map(({ emailId, status, reason, subject, recordedAt }) => ({ emailId, status, reason, subject, recordedAt })),
+    recentMatches: outcomes
+      .filter(o => o.status === 'matched')
+      .slice(-recentLimit)
+      .reverse()
+      .map(({ emailId, subject, dealId, dealName, dealstage, matchType, confidence, recordedAt }) =>
+        ({ emailId, subject, dealId, dealName, dealstage, matchType, confidence, recordedAt })),
+  };
+}
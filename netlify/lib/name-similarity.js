@@ -0,0 +1,77 @@
+/**
+ * Token-based deal-name similarity.
+ *
+ * Names are split into lowercase tokens and compared without regard to word
+ * order. Word tokens tolerate typos (optimal string alignment distance, so
+ * "Plamas" ~ "Palmas"); numbers and short tokens must match exactly.
+ *
+ * compareNames('Las Palmas', '168 Las Palmas')
+ *   -> { similarity: 0.92, recall: 1, precision: 0.67 }
+ * recall:    how much of the email's name is found in the deal name
+ * precision: how much of the deal name the email's name accounts for
+ *
+ * When both names carry numbers (house numbers) and share none, the
+ * similarity is halved: "168 Las Palmas" is not "186 Las Palmas".
+ */
+
+const STOPWORDS = new Set(['the', 'of', 'and', 'at', 'a', 'llc', 'inc']);
+const MIN_TOKEN_SIMILARITY = 0.75;
+const RECALL_WEIGHT = 0.75;
+
+export function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(t => t && !STOPWORDS.has(t));
+}
+
+// Optimal string alignment distance (Levenshtein + adjacent transpositions)
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+function tokenSimilarity(a, b) {
+  if (a === b) return 1;
+  if (/\d/.test(a) || /\d/.test(b) || Math.min(a.length, b.length) <= 3) return 0;
+  const similarity = 1 - editDistance(a, b) / Math.max(a.length, b.length);
+  return similarity >= MIN_TOKEN_SIMILARITY ? similarity : 0;
+}
+
+// Share of `from` tokens found in `to`, each weighted by its best similarity
+function coverage(from, to) {
+  const total = from.reduce((sum, f) => sum + Math.max(0, ...to.map(t => tokenSimilarity(f, t))), 0);
+  return total / from.length;
+}
+
+export function compareNames(query, target) {
+  const q = tokenize(query);
+  const t = tokenize(target);
+  if (q.length === 0 || t.length === 0) return { similarity: 0, recall: 0, precision: 0, numberConflict: false };
+
+  const recall = coverage(q, t);
+  const precision = coverage(t, q);
+  const qNumbers = q.filter(x => /\d/.test(x));
+  const tNumbers = t.filter(x => /\d/.test(x));
+  const numberConflict = qNumbers.length > 0 && tNumbers.length > 0 && !qNumbers.some(n => tNumbers.includes(n));
+
+  const similarity = RECALL_WEIGHT * recall + (1 - RECALL_WEIGHT) * precision;
+  return {
+    similarity: numberConflict ? similarity / 2 : similarity,
+    recall,
+    precision,
+    numberConflict,
+  };
+}
@@ -0,0 +1,22 @@
+/**
+ * Shared-secret check for the operator endpoints (review queue, etc.)
+ *
+ * Callers send `Authorization: Bearer <OPS_API_TOKEN>`.
+ */
+
+import crypto from 'node:crypto';
+
+export function isOpsRequestAuthorized(event) {
+  const token = process.env.OPS_API_TOKEN;
+  if (!token) return false;
+
+  const headers = event.headers || {};
+  const auth = headers.authorization || headers.Authorization || '';
+  const provided = Buffer.from(auth.replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(token);
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+export function opsUnauthorizedResponse() {
+  return { statusCode: 401, body: JSON.stringify({ error: 'Unauthorized' }) };
+}
@@ -0,0 +1,132 @@
+/**
+ * Durable processing queue for email-sync webhook events.
+ *
+ * The webhook only enqueues; the queue worker does the HubSpot work.
+ * Pending emails live in the `email-sync-queue` blob store, keyed by email ID:
+ * {
+ *   emailId, subscriptionType, enqueuedAt,
+ *   attempts, nextAttemptAt (ms), lastError
+ * }
+ *
+ * A failed attempt is retried after BACKOFF_MS[attempts - 1]. After
+ * MAX_ATTEMPTS failures the entry moves to the `email-sync-dead-letter` store
+ * (same shape plus `deadLetteredAt`) until an operator replays or discards it.
+ *
+ * Blobs have no conditional writes, so a single worker at a time is enforced
+ * with a lease blob that the running worker renews as it goes.
+ */
+
+import { openStore } from './store.js';
+import { invokeBackgroundFunction } from './background.js';
+import { acquireLease, releaseLease } from './lease.js';
+
+const QUEUE_STORE = 'email-sync-queue';
+const DEAD_LETTER_STORE = 'email-sync-dead-letter';
+const LOCK_STORE = 'email-sync-worker';
+
+export const MAX_ATTEMPTS = 5;
+const BACKOFF_MS = [30 * 1000, 2 * 60 * 1000, 10 * 60 * 1000, 30 * 60 * 1000];
+
+// A worker that stops renewing (crashed, timed out) loses the lease after this
+const LEASE_MS = 2 * 60 * 1000;
+
+async function readAll(store) {
+  const { blobs } = await store.list();
+  const entries = await Promise.all(blobs.map(b => store.get(b.key, { type: 'json' })));
+  return entries.filter(Boolean);
+}
+
+// Returns the number of newly queued emails; emails already pending keep their retry state
+export async function enqueueEmails(events) {
+  const store = openStore(QUEUE_STORE);
+  let queued = 0;
+
+  for (const evt of events) {
+    const emailId = String(evt.objectId);
+    if (await store.get(emailId, { type: 'json' })) continue;
+
+    await store.setJSON(emailId, {
+      emailId,
+      subscriptionType: evt.subscriptionType,
+      enqueuedAt: new Date().toISOString(),
+      attempts: 0,
+      nextAttemptAt: Date.now(),
+      lastError: null,
+    });
+    queued++;
+  }
+
+  return queued;
+}
+
+export async function listQueue() {
+  const entries = await readAll(openStore(QUEUE_STORE));
+  return entries.sort((a, b) => a.nextAttemptAt - b.nextAttemptAt);
+}
+
+export async function completeEntry(emailId) {
+  await openStore(QUEUE_STORE).delete(String(emailId));
+}
+
+// Schedules a retry, or dead-letters the entry once it is out of attempts.
+// Permanent failures (e.g. the email no longer exists) skip the retries.
+export async function recordFailure(entry, error, { permanent = false } = {}) {
+  const attempts = entry.attempts + 1;
+  const failed = { ...entry, attempts, lastError: error.message };
+
+  if (permanent || attempts >= MAX_ATTEMPTS) {
+    await openStore(DEAD_LETTER_STORE).setJSON(entry.emailId, {
+      ...failed,
+      deadLetteredAt: new Date().toISOString(),
+    });
+    await completeEntry(entry.emailId);
+    return { deadLettered: true };
+  }
+
+  const delay = BACKOFF_MS[Math.min(attempts, BACKOFF_MS.length) - 1];
+  await openStore(QUEUE_STORE).setJSON(entry.emailId, { ...failed, nextAttemptAt: Date.now() + delay });
+  return { deadLettered: false, retryInMs: delay };
+}
+
+export async function listDeadLetters() {
+  const entries = await readAll(openStore(DEAD_LETTER_STORE));
+  return entries.sort((a, b) => (b.deadLetteredAt || '').localeCompare(a.deadLetteredAt || ''));
+}
+
+export async function getDeadLetter(emailId) {
+  return openStore(DEAD_LETTER_STORE).get(String(emailId), { type: 'json' });
+}
+
+// Moves a dead-lettered email back onto the queue with a fresh set of attempts
+export async function replayDeadLetter(entry) {
+  await openStore(QUEUE_STORE).setJSON(entry.emailId, {
+    emailId: entry.emailId,
+    subscriptionType: entry.subscriptionType,
+    enqueuedAt: new Date().toISOString(),
+    attempts: 0,
+    nextAttemptAt: Date.now(),
+    lastError: entry.lastError,
+    replayedAt: new Date().toISOString(),
+  });
+  await discardDeadLetter(entry.emailId);
+}
+
+export async function discardDeadLetter(emailId) {
+  await openStore(DEAD_LETTER_STORE).delete(String(emailId));
+}
+
+export async function acquireWorkerLease(runId) {
+  return acquireLease(LOCK_STORE, runId, LEASE_MS);
+}
+
+export async function renewWorkerLease(runId) {
+  return acquireWorkerLease(runId);
+}
+
+export async function releaseWorkerLease(runId) {
+  await releaseLease(LOCK_STORE, runId);
+}
+
+export async function startQueueWorker() {
+  await invokeBackgroundFunction('email-sync-worker-background');
+}
@@ -0,0 +1,37 @@
+/**
+ * Manual review queue for emails the sync could not confidently match.
+ *
+ * Entries are keyed by email ID in the `email-review-queue` blob store:
+ * {
+ *   emailId, subject, reason: 'low_confidence' | 'ambiguous',
+ *   parsed: { loanNumbers, addresses, dealNames },
+ *   candidates: [{ dealId, dealName, dealstage, matchType, matchValue, score }],
+ *   queuedAt
+ * }
+ */
+
+import { openStore } from './store.js';
+
+const REVIEW_STORE = 'email-review-queue';
+
+export async function addToReviewQueue(entry) {
+  const store = openStore(REVIEW_STORE);
+  await store.setJSON(entry.emailId, { ...entry, queuedAt: new Date().toISOString() });
+}
+
+export async function getReviewEntry(emailId) {
+  return openStore(REVIEW_STORE).get(String(emailId), { type: 'json' });
+}
+
+export async function listReviewQueue() {
+  const store = openStore(REVIEW_STORE);
+  const { blobs } = await store.list();
+  const entries = await Promise.all(blobs.map(b => store.get(b.key, { type: 'json' })));
+  return entries
+    .filter(Boolean)
+    .sort((a, b) => (b.queuedAt || '').localeCompare(a.queuedAt || ''));
+}
+
+export async function removeReviewEntry(emailId) {
+  await openStore(REVIEW_STORE).delete(String(emailId));
+}
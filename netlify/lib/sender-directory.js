@@ -0,0 +1,21 @@
+/**
+ * Sender directory lookup.
+ *
+ * Entries come from `senderDirectory` in the matching configuration and map
+ * a sender address or domain to an organization type (servicer A-piece,
+ * servicer B-piece, title company, ...). An exact address entry wins over a
+ * domain entry; a domain entry also covers its subdomains.
+ */
+
+export function lookupSender(senders, fromEmail) {
+  const address = (fromEmail || '').trim().toLowerCase();
+  const domain = address.split('@')[1];
+  if (!domain) return null;
+
+  const exact = senders.find(s => s.match.includes(address));
+  if (exact) return exact;
+
+  return senders.find(s => s.match.some(m =>
+    !m.includes('@') && (domain === m || domain.endsWith(`.${m}`))
+  )) || null;
+}
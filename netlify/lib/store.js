@@ -0,0 +1,16 @@
+/**
+ * Netlify Blobs helpers shared by the functions.
+ *
+ * The functions use the Lambda-compatible handler signature, so each
+ * handler must call connectBlobs(event) before any store is opened.
+ */
+
+import { connectLambda, getStore } from '@netlify/blobs';
+
+export function connectBlobs(event) {
+  if (event?.blobs) connectLambda(event);
+}
+
+export function openStore(name) {
+  return getStore({ name, consistency: 'strong' });
+}
@@ -0,0 +1,125 @@
+/**
+ * HubSpot v3 webhook signature validation
+ * https://developers.hubspot.com/docs/api/webhooks/validating-requests
+ *
+ * Signature = base64(HMAC-SHA256(app secret, method + uri + rawBody + timestamp))
+ *
+ * Rejects requests older than 5 minutes and signatures that were already
+ * seen inside that window (replays). Seen signatures are kept in Netlify
+ * Blobs, bucketed by window so stale buckets can be pruned.
+ *
+ * Blobs have no conditional writes, so the replay check is best effort, like
+ * the worker leases: each request writes its own marker and reads it back,
+ * which narrows but does not close the race between two concurrent
+ * deliveries of the same request. Those still end up as one unit of work,
+ * since the processing queues are keyed by email and deal ID.
+ */
+
+import crypto from 'node:crypto';
+import { openStore } from './store.js';
+
+const MAX_TIMESTAMP_AGE_MS = 5 * 60 * 1000;
+const REPLAY_STORE = 'webhook-signatures';
+
+// HubSpot decodes these characters in the URI before signing
+const URI_DECODES = {
+  '%3A': ':', '%2F': '/', '%3F': '?', '%40': '@', '%21': '!', '%24': '$',
+  '%27': "'", '%28': '(', '%29': ')', '%2A': '*', '%2C': ',', '%3B': ';',
+};
+
+function getHeader(event, name) {
+  const headers = event.headers || {};
+  const key = Object.keys(headers).find(k => k.toLowerCase() === name);
+  return key ? headers[key] : undefined;
+}
+
+function getRawBody(event) {
+  if (!event.body) return '';
+  return event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString('utf8') : event.body;
+}
+
+function getRequestUri(event) {
+  let uri = event.rawUrl;
+  if (!uri) {
+    const proto = getHeader(event, 'x-forwarded-proto') || 'https';
+    const query = event.rawQuery ? `?${event.rawQuery}` : '';
+    uri = `${proto}://${getHeader(event, 'host')}${event.path}${query}`;
+  }
+
+  // Use the public URL HubSpot was configured with when running behind a proxy
+  if (process.env.HUBSPOT_WEBHOOK_BASE_URL) {
+    const { pathname, search } = new URL(uri);
+    uri = `${process.env.HUBSPOT_WEBHOOK_BASE_URL.replace(/\/+$/, '')}${pathname}${search}`;
+  }
+
+  return uri.replace(/%[0-9A-F]{2}/gi, m => URI_DECODES[m.toUpperCase()] || m);
+}
+
+// Local testing only: requires both the flag and `netlify dev`
+export function isSignatureBypassEnabled() {
+  return process.env.HUBSPOT_SKIP_SIGNATURE_CHECK === 'true' && process.env.NETLIFY_DEV === 'true';
+}
+
+async function recordSignature(signature, timestamp) {
+  const store = openStore(REPLAY_STORE);
+  const bucket = Math.floor(timestamp / MAX_TIMESTAMP_AGE_MS);
+  const digest = crypto.createHash('sha256').update(signature).digest('hex');
+
+  // A signature can only be replayed within its own or the next bucket
+  for (const b of [bucket, bucket + 1]) {
+    if (await store.get(`${b}/${digest}`) !== null) return false;
+  }
+
+  // Last write wins; a concurrent delivery that wrote after us reads its own marker
+  const marker = `${timestamp}:${crypto.randomUUID()}`;
+  await store.set(`${bucket}/${digest}`, marker);
+  if (await store.get(`${bucket}/${digest}`) !== marker) return false;
+
+  // Opportunistically drop buckets that are past the replay window
+  if (Math.random() < 0.05) {
+    const { directories } = await store.list({ directories: true });
+    for (const dir of directories.filter(d => Number(d) < bucket - 1)) {
+      const { blobs } = await store.list({ prefix: `${dir}/` });
+      await Promise.all(blobs.map(b => store.delete(b.key)));
+    }
+  }
+
+  return true;
+}
+
+export async function verifyHubSpotSignature(event) {
+  if (isSignatureBypassEnabled()) {
+    console.warn('HubSpot signature check bypassed (HUBSPOT_SKIP_SIGNATURE_CHECK, local dev)');
+    return { valid: true };
+  }
+
+  const secret = process.env.HUBSPOT_CLIENT_SECRET;
+  if (!secret) return { valid: false, reason: 'HUBSPOT_CLIENT_SECRET not configured' };
+
+  const signature = getHeader(event, 'x-hubspot-signature-v3');
+  const timestampHeader = getHeader(event, 'x-hubspot-request-timestamp');
+  if (!signature || !timestampHeader) return { valid: false, reason: 'Missing signature headers' };
+
+  const timestamp = parseInt(timestampHeader);
+  if (!Number.isFinite(timestamp) || Math.abs(Date.now() - timestamp) > MAX_TIMESTAMP_AGE_MS) {
+    return { valid: false, reason: 'Stale or invalid timestamp' };
+  }
+
+  const source = `${event.httpMethod}${getRequestUri(event)}${getRawBody(event)}${timestampHeader}`;
+  const expected = crypto.createHmac('sha256', secret).update(source, 'utf8').digest();
+  const provided = Buffer.from(signature, 'base64');
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return { valid: false, reason: 'Signature mismatch' };
+  }
+
+  if (!(await recordSignature(signature, timestamp))) {
+    return { valid: false, reason: 'Replayed request' };
+  }
+
+  return { valid: true };
+}
+
+export function unauthorizedResponse(reason) {
+  console.warn(`Rejected webhook: ${reason}`);
+  return { statusCode: 401, body: JSON.stringify({ error: 'Invalid webhook signature' }) };
+}
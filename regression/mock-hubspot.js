@@ -0,0 +1,235 @@
+/**
+ * In-memory mock of the HubSpot endpoints the email sync uses.
+ *
+ * Serves fixture deals, emails and contacts:
+ * - GET/PATCH  /crm/v3/objects/:type/:id
+ * - POST       /crm/v3/objects/:type/search       (filterGroups, sorts, paging)
+ * - POST       /crm/v3/objects/:type/batch/read   (rejects more than 100 IDs)
+ * - POST       /crm/v4/associations/:from/:to/batch/read
+ * - GET        /crm/v4/objects/:from/:id/associations/:to   (paged)
+ * - PUT/DELETE /crm/v4/objects/:from/:id/associations/:to/:toId
+ * - GET        /files/v3/files/:id/signed-url, plus the signed download URL
+ *
+ * Writes (associations, property updates) are applied to the in-memory
+ * state and logged in `writes` so the harness can score them.
+ */
+
+const BATCH_LIMIT = 100;
+
+function tokens(value) {
+  return String(value ?? '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+function comparable(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (/^-?\d+(\.\d+)?$/.test(String(value))) return Number(value);
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? String(value).toLowerCase() : time;
+}
+
+function propertyOf(object, name) {
+  if (name === 'hs_object_id') return object.id;
+  return object.properties[name];
+}
+
+function matchesFilter(object, { propertyName, operator, value, values }) {
+  const raw = propertyOf(object, propertyName);
+  const lower = v => String(v ?? '').toLowerCase();
+
+  switch (operator) {
+    case 'EQ': return lower(raw) === lower(value);
+    case 'NEQ': return lower(raw) !== lower(value);
+    case 'IN': return values.map(lower).includes(lower(raw));
+    case 'NOT_IN': return !values.map(lower).includes(lower(raw));
+    case 'HAS_PROPERTY': return raw !== null && raw !== undefined && raw !== '';
+    case 'NOT_HAS_PROPERTY': return raw === null || raw === undefined || raw === '';
+    case 'CONTAINS_TOKEN': {
+      const have = new Set(tokens(raw));
+      const want = tokens(value);
+      return want.length > 0 && want.every(t => have.has(t));
+    }
+    case 'GT': case 'GTE': case 'LT': case 'LTE': {
+      const a = comparable(raw);
+      const b = comparable(value);
+      if (a === null || b === null) return false;
+      return { GT: a > b, GTE: a >= b, LT: a < b, LTE: a <= b }[operator];
+    }
+    default:
+      throw new Error(`Mock HubSpot: unsupported operator ${operator}`);
+  }
+}
+
+function pick(object, properties) {
+  const selected = { hs_object_id: object.id };
+  for (const name of properties || []) {
+    if (name in object.properties) selected[name] = object.properties[name];
+  }
+  return { id: object.id, properties: selected };
+}
+
+export function createMockHubSpot({ deals = [], emails = [], contacts = [], files = [] } = {}) {
+  const objects = {
+    deals: new Map(),
+    emails: new Map(),
+    contacts: new Map(),
+    notes: new Map(),
+  };
+  const associations = new Map();   // "emails:1:deals" -> Set of IDs
+  const fileStore = new Map(files.map(f => [String(f.id), f]));
+  const writes = [];
+  let requestCount = 0;
+
+  const assocKey = (fromType, id, toType) => `${fromType}:${id}:${toType}`;
+  const linked = (fromType, id, toType) => associations.get(assocKey(fromType, id, toType)) || new Set();
+
+  function associate(aType, aId, bType, bId, remove = false) {
+    for (const [from, fromId, to, toId] of [[aType, aId, bType, bId], [bType, bId, aType, aId]]) {
+      const key = assocKey(from, String(fromId), to);
+      if (!associations.has(key)) associations.set(key, new Set());
+      if (remove) associations.get(key).delete(String(toId));
+      else associations.get(key).add(String(toId));
+    }
+  }
+
+  function addObject(type, { id, properties, associations: links = {} }) {
+    objects[type].set(String(id), { id: String(id), properties: { ...properties } });
+    for (const [toType, ids] of Object.entries(links)) {
+      for (const toId of ids) associate(type, id, toType, toId);
+    }
+  }
+
+  for (const d of deals) addObject('deals', d);
+  for (const c of contacts) addObject('contacts', c);
+  for (const e of emails) addObject('emails', e);
+
+  function search(type, body) {
+    const groups = body.filterGroups?.length ? body.filterGroups : [{ filters: [] }];
+    let results = [...objects[type].values()].filter(o =>
+      groups.some(g => (g.filters || []).every(f => matchesFilter(o, f)))
+    );
+
+    for (const { propertyName, direction } of [...(body.sorts || [])].reverse()) {
+      const sign = direction === 'DESCENDING' ? -1 : 1;
+      results.sort((a, b) => {
+        const x = comparable(propertyOf(a, propertyName));
+        const y = comparable(propertyOf(b, propertyName));
+        if (x === y) return 0;
+        if (x === null) return 1;
+        if (y === null) return -1;
+        return x < y ? -sign : sign;
+      });
+    }
+
+    const offset = Number(body.after || 0);
+    const limit = Math.min(body.limit || 10, 200);
+    const page = results.slice(offset, offset + limit);
+    return {
+      total: results.length,
+      results: page.map(o => pick(o, body.properties)),
+      ...(offset + limit < results.length ? { paging: { next: { after: String(offset + limit) } } } : {}),
+    };
+  }
+
+  // Returns [status, body]; body null for 204
+  function route(method, url, body, origin) {
+    let m;
+
+    if ((m = url.pathname.match(/^\/crm\/v3\/objects\/(\w+)\/search$/)) && method === 'POST') {
+      return [200, search(m[1], body)];
+    }
+
+    if ((m = url.pathname.match(/^\/crm\/v3\/objects\/(\w+)\/batch\/read$/)) && method === 'POST') {
+      if (body.inputs.length > BATCH_LIMIT) return [400, { message: `Too many inputs (${body.inputs.length})` }];
+      const results = body.inputs
+        .map(({ id }) => objects[m[1]].get(String(id)))
+        .filter(Boolean)
+        .map(o => pick(o, body.properties));
+      return [200, { status: 'COMPLETE', results }];
+    }
+
+    if ((m = url.pathname.match(/^\/crm\/v3\/objects\/(\w+)\/(\d+)$/))) {
+      const object = objects[m[1]]?.get(m[2]);
+      if (!object) return [404, { message: 'Object not found', category: 'OBJECT_NOT_FOUND' }];
+      if (method === 'GET') {
+        const properties = (url.searchParams.get('properties') || '').split(',').filter(Boolean);
+        return [200, pick(object, properties)];
+      }
+      if (method === 'PATCH') {
+        Object.assign(object.properties, body.properties);
+        writes.push({ type: 'update', objectType: m[1], id: m[2], properties: body.properties });
+        return [200, pick(object, Object.keys(body.properties))];
+      }
+    }
+
+    if ((m = url.pathname.match(/^\/crm\/v4\/associations\/(\w+)\/(\w+)\/batch\/read$/)) && method === 'POST') {
+      if (body.inputs.length > BATCH_LIMIT) return [400, { message: `Too many inputs (${body.inputs.length})` }];
+      const results = body.inputs
+        .map(({ id }) => ({ id: String(id), to: [...linked(m[1], String(id), m[2])] }))
+        .filter(r => r.to.length > 0)
+        .map(r => ({ from: { id: r.id }, to: r.to.map(toObjectId => ({ toObjectId: Number(toObjectId), associationTypes: [] })) }));
+      return [200, { status: 'COMPLETE', results }];
+    }
+
+    if ((m = url.pathname.match(/^\/crm\/v4\/objects\/(\w+)\/(\d+)\/associations\/(\w+)(?:\/(\d+))?$/))) {
+      const [, fromType, id, toType, toId] = m;
+      if (!objects[fromType]?.has(id)) return [404, { message: 'Object not found', category: 'OBJECT_NOT_FOUND' }];
+
+      if (method === 'GET' && !toId) {
+        const all = [...linked(fromType, id, toType)];
+        const offset = Number(url.searchParams.get('after') || 0);
+        const limit = Number(url.searchParams.get('limit') || 500);
+        return [200, {
+          results: all.slice(offset, offset + limit).map(t => ({ toObjectId: Number(t), associationTypes: [] })),
+          ...(offset + limit < all.length ? { paging: { next: { after: String(offset + limit) } } } : {}),
+        }];
+      }
+      if ((method === 'PUT' || method === 'DELETE') && toId) {
+        if (!objects[toType]?.has(toId)) return [404, { message: 'Object not found', category: 'OBJECT_NOT_FOUND' }];
+        associate(fromType, id, toType, toId, method === 'DELETE');
+        writes.push({ type: method === 'PUT' ? 'associate' : 'disassociate', fromType, id, toType, toId });
+        return method === 'PUT' ? [200, { fromObjectId: Number(id), toObjectId: Number(toId) }] : [204, null];
+      }
+    }
+
+    if ((m = url.pathname.match(/^\/files\/v3\/files\/(\w+)\/signed-url$/)) && method === 'GET') {
+      const file = fileStore.get(m[1]);
+      if (!file) return [404, { message: 'File not found' }];
+      return [200, {
+        name: file.name, extension: file.extension, type: file.type,
+        size: Buffer.byteLength(file.content), url: `${origin}/_files/${file.id}`,
+      }];
+    }
+
+    return [404, { message: `Mock HubSpot: no route for ${method} ${url.pathname}` }];
+  }
+
+  // Node http handler; returns false for paths it doesn't serve
+  async function handle(req, res, origin) {
+    const url = new URL(req.url, origin);
+
+    if (url.pathname.startsWith('/_files/')) {
+      const file = fileStore.get(url.pathname.slice('/_files/'.length));
+      res.statusCode = file ? 200 : 404;
+      res.end(file ? file.content : '');
+      return true;
+    }
+    if (!url.pathname.startsWith('/crm/') && !url.pathname.startsWith('/files/')) return false;
+
+    requestCount++;
+    let raw = '';
+    for await (const chunk of req) raw += chunk;
+    const [status, body] = route(req.method, url, raw ? JSON.parse(raw) : {}, origin);
+
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(body === null ? '' : JSON.stringify(body));
+    return true;
+  }
+
+  return {
+    handle,
+    writes,
+    dealsOf: emailId => [...linked('emails', String(emailId), 'deals')],
+    get requestCount() { return requestCount; },
+  };
+}
@@ -0,0 +1,325 @@
+/**
+ * Offline regression run for the email sync.
+ *
+ *   npm run regression                    replay and compare with baseline.json
+ *   npm run regression -- --update        ...and write the result as the new baseline
+ *   npm run regression -- --index         build the local deal index first
+ *   npm run regression -- --verbose       keep the functions' log output
+ *
+ * Starts a local Netlify Blobs server and the mock HubSpot API
+ * (mock-hubspot.js) loaded with fixtures/ and corpus/emails.json, then sends
+ * every corpus email to the real email-sync `handler` as signed webhook
+ * events. Background functions the handler starts are served from the same
+ * local server. The associations written to the mock are scored against each
+ * email's `expectedDealIds`.
+ *
+ * Exits with 1 when an email that matched its expected deals in the
+ * baseline no longer does.
+ */
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { BlobsServer } from '@netlify/blobs/server';
+import { setEnvironmentContext } from '@netlify/blobs';
+import { createMockHubSpot } from './mock-hubspot.js';
+
+const HERE = path.dirname(fileURLToPath(import.meta.url));
+const FUNCTIONS_DIR = path.join(HERE, '..', 'netlify', 'functions');
+const BASELINE_PATH = path.join(HERE, 'baseline.json');
+
+const WEBHOOK_BATCH_SIZE = 10;
+const CLIENT_SECRET = 'regression-client-secret';
+const OPS_TOKEN = 'regression-ops-token';
+
+const args = new Set(process.argv.slice(2));
+const readJson = file => JSON.parse(fs.readFileSync(path.join(HERE, file), 'utf8'));
+
+// --- Fixtures -> mock HubSpot objects ---
+
+function buildMockData(corpus) {
+  const files = [];
+  const emails = corpus.map((e, i) => {
+    const fileIds = (e.attachments || []).map((a, j) => {
+      const id = `${e.id}${j + 1}`;
+      files.push({ id, ...a });
+      return id;
+    });
+    return {
+      id: e.id,
+      properties: {
+        hs_email_subject: e.subject || '',
+        hs_email_text: e.text || '',
+        hs_email_html: e.html || '',
+        hs_email_from_email: e.from || '',
+        hs_timestamp: e.timestamp || new Date(Date.UTC(2026, 2, 10) + i * 60000).toISOString(),
+        hs_email_thread_id: e.threadId || '',
+        hs_email_headers: e.headers ? JSON.stringify(e.headers) : '',
+        hs_email_message_id: e.messageId || '',
+        hs_attachment_ids: fileIds.join(';'),
+      },
+      associations: { contacts: e.contactIds || [], deals: e.existingDealIds || [] },
+    };
+  });
+
+  return {
+    deals: readJson('fixtures/deals.json'),
+    contacts: readJson('fixtures/contacts.json'),
+    emails,
+    files,
+  };
+}
+
+// --- Local server: mock HubSpot + Netlify function invocations ---
+
+function startServer(mock) {
+  const pending = new Set();
+
+  const server = http.createServer(async (req, res) => {
+    const origin = `http://localhost:${server.address().port}`;
+    try {
+      if (await mock.handle(req, res, origin)) return;
+
+      const m = req.url.match(/^\/\.netlify\/functions\/([\w-]+)/);
+      if (!m) {
+        res.statusCode = 404;
+        return res.end();
+      }
+
+      let body = '';
+      for await (const chunk of req) body += chunk;
+      const event = { httpMethod: req.method, headers: req.headers, body, rawUrl: `${origin}${req.url}` };
+      const { handler } = await import(path.join(FUNCTIONS_DIR, `${m[1]}.js`));
+
+      if (m[1].endsWith('-background')) {
+        res.statusCode = 202;
+        res.end();
+        const run = handler(event).catch(err => console.error(`${m[1]} failed:`, err));
+        pending.add(run);
+        run.finally(() => pending.delete(run));
+        return;
+      }
+
+      const result = await handler(event);
+      res.statusCode = result.statusCode;
+      res.end(result.body || '');
+    } catch (error) {
+      res.statusCode = 500;
+      res.end(error.message);
+    }
+  });
+
+  return new Promise(resolve => server.listen(0, () => resolve({
+    server,
+    origin: `http://localhost:${server.address().port}`,
+    async settle() {
+      while (pending.size > 0) await Promise.all([...pending]);
+    },
+  })));
+}
+
+function signedWebhookEvent(url, events) {
+  const body = JSON.stringify(events);
+  const timestamp = String(Date.now());
+  const signature = crypto
+    .createHmac('sha256', CLIENT_SECRET)
+    .update(`POST${url}${body}${timestamp}`, 'utf8')
+    .digest('base64');
+  return {
+    httpMethod: 'POST',
+    rawUrl: url,
+    headers: { 'x-hubspot-signature-v3': signature, 'x-hubspot-request-timestamp': timestamp },
+    body,
+  };
+}
+
+// --- Scoring ---
+
+function verdict(expected, actual) {
+  if (expected.length === 0) return actual.length === 0 ? 'correct_none' : 'spurious';
+  if (actual.length === 0) return 'missed';
+  const same = expected.length === actual.length && expected.every(id => actual.includes(id));
+  return same ? 'correct' : 'wrong_deal';
+}
+
+function score(results) {
+  let tp = 0, fp = 0, fn = 0;
+  for (const r of results) {
+    tp += r.actual.filter(id => r.expected.includes(id)).length;
+    fp += r.actual.filter(id => !r.expected.includes(id)).length;
+    fn += r.expected.filter(id => !r.actual.includes(id)).length;
+  }
+  return {
+    precision: tp + fp === 0 ? 1 : tp / (tp + fp),
+    recall: tp + fn === 0 ? 1 : tp / (tp + fn),
+    truePositives: tp,
+    falsePositives: fp,
+    falseNegatives: fn,
+  };
+}
+
+const pct = x => `${(x * 100).toFixed(1)}%`;
+const isCorrect = v => v === 'correct' || v === 'correct_none';
+
+function report(results, metrics, baseline) {
+  console.log(`\nEmail sync regression: ${results.length} emails`);
+  console.log(`Precision ${pct(metrics.precision)}  Recall ${pct(metrics.recall)}  ` +
+    `(TP ${metrics.truePositives}, FP ${metrics.falsePositives}, FN ${metrics.falseNegatives})`);
+
+  const failing = results.filter(r => !isCorrect(r.verdict));
+  if (failing.length > 0) {
+    console.log('\nNot matching expectations:');
+    for (const r of failing) {
+      console.log(`  ${r.id} ${r.verdict.padEnd(11)} expected [${r.expected}] got [${r.actual}] (${r.status}) - ${r.description}`);
+    }
+  }
+
+  if (!baseline) {
+    console.log('\nNo baseline yet; run with --update to save one.');
+    return [];
+  }
+
+  console.log(`\nBaseline (${baseline.generatedAt}): precision ${pct(baseline.metrics.precision)}, recall ${pct(baseline.metrics.recall)}`);
+  const regressions = [];
+  const changes = results.filter(r => {
+    const before = baseline.results[r.id];
+    return !before || before.verdict !== r.verdict || before.actual.join() !== r.actual.join();
+  });
+  if (changes.length === 0) {
+    console.log('No differences from baseline.');
+    return regressions;
+  }
+
+  console.log('Differences from baseline:');
+  for (const r of changes) {
+    const before = baseline.results[r.id];
+    const from = before ? `${before.verdict} [${before.actual}]` : 'new';
+    console.log(`  ${r.id} ${from} -> ${r.verdict} [${r.actual}] - ${r.description}`);
+    if (before && isCorrect(before.verdict) && !isCorrect(r.verdict)) regressions.push(r);
+  }
+  return regressions;
+}
+
+// --- Run ---
+
+async function main() {
+  const corpus = readJson('corpus/emails.json');
+  const mock = createMockHubSpot(buildMockData(corpus));
+  const local = await startServer(mock);
+
+  const blobsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'email-sync-regression-'));
+  const blobs = new BlobsServer({ directory: blobsDir, token: 'regression' });
+  const { port } = await blobs.start();
+  const blobsUrl = `http://localhost:${port}`;
+  setEnvironmentContext({ siteID: 'regression', token: 'regression', edgeURL: blobsUrl, uncachedEdgeURL: blobsUrl });
+
+  // Must be set before the functions are imported
+  Object.assign(process.env, {
+    HUBSPOT_API_BASE: local.origin,
+    HUBSPOT_API_KEY: 'regression',
+    HUBSPOT_CLIENT_SECRET: CLIENT_SECRET,
+    OPS_API_TOKEN: OPS_TOKEN,
+    URL: local.origin,
+  });
+  delete process.env.EMAIL_SYNC_CONFIG;
+  delete process.env.EMAIL_SYNC_MULTI_DEAL;
+
+  const originalConsole = { log: console.log, warn: console.warn };
+  if (!args.has('--verbose')) console.log = console.warn = () => {};
+
+  try {
+    if (args.has('--index')) {
+      await fetch(`${local.origin}/.netlify/functions/deal-index-refresh-background`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${OPS_TOKEN}` },
+      });
+      await local.settle();
+    }
+
+    const { handler } = await import(path.join(FUNCTIONS_DIR, 'email-sync.js'));
+    const { handler: runScheduler } = await import(path.join(FUNCTIONS_DIR, 'email-sync-queue-scheduler.js'));
+    const { listQueue } = await import('../netlify/lib/processing-queue.js');
+    const { loadOutcomes } = await import('../netlify/lib/match-stats.js');
+    const { applyAssociationChange, recordSyncDecision } = await import('../netlify/lib/match-rules.js');
+
+    // Corrections the sender made to earlier emails, applied the way the
+    // association webhook would so their learned rules exist before the run
+    for (const e of corpus.filter(e => e.corrections)) {
+      for (const [i, c] of e.corrections.entries()) {
+        const emailId = `${e.id}-correction-${i + 1}`;
+        const matches = [{ deal: { id: c.fromDealId }, matchType: c.type, matchValue: c.value }];
+        await recordSyncDecision({ emailId, fromEmail: e.from, matches });
+        await applyAssociationChange({ emailId, dealId: c.fromDealId, removed: true });
+        await applyAssociationChange({ emailId, dealId: c.toDealId, removed: false });
+      }
+    }
+
+    const replayed = corpus.filter(e => e.replay !== false);
+    const webhookUrl = `${local.origin}/webhooks/email-sync`;
+    for (let i = 0; i < replayed.length; i += WEBHOOK_BATCH_SIZE) {
+      const events = replayed.slice(i, i + WEBHOOK_BATCH_SIZE).map((e, j) => ({
+        eventId: i + j + 1,
+        subscriptionType: 'object.creation',
+        objectTypeId: '0-49',
+        objectId: Number(e.id),
+        occurredAt: Date.now(),
+      }));
+      const response = await handler(signedWebhookEvent(webhookUrl, events));
+      if (response.statusCode !== 200) throw new Error(`Webhook returned ${response.statusCode}: ${response.body}`);
+    }
+
+    // A batch can land while the worker is finishing; the scheduler picks it up
+    await local.settle();
+    while ((await listQueue()).some(e => e.nextAttemptAt <= Date.now())) {
+      await runScheduler({});
+      await local.settle();
+    }
+    const stuck = await listQueue();
+
+    const statuses = new Map((await loadOutcomes(0, Date.now())).map(o => [String(o.emailId), o.status]));
+    const results = replayed.map(e => {
+      const expected = [...(e.expectedDealIds || [])].sort();
+      const actual = mock.dealsOf(e.id).filter(id => !(e.existingDealIds || []).includes(id)).sort();
+      return {
+        id: e.id,
+        description: e.description,
+        expected,
+        actual,
+        status: statuses.get(e.id) || (stuck.some(s => s.emailId === e.id) ? 'retrying' : 'unknown'),
+        verdict: verdict(expected, actual),
+      };
+    });
+
+    Object.assign(console, originalConsole);
+    const metrics = score(results);
+    const baseline = fs.existsSync(BASELINE_PATH) ? JSON.parse(fs.readFileSync(BASELINE_PATH, 'utf8')) : null;
+    const regressions = report(results, metrics, baseline);
+    console.log(`\n${mock.requestCount} mock HubSpot requests`);
+
+    if (args.has('--update')) {
+      fs.writeFileSync(BASELINE_PATH, `${JSON.stringify({
+        generatedAt: new Date().toISOString(),
+        metrics,
+        results: Object.fromEntries(results.map(r => [r.id, { verdict: r.verdict, actual: r.actual, status: r.status }])),
+      }, null, 2)}\n`);
+      console.log(`Baseline written to ${path.relative(process.cwd(), BASELINE_PATH)}`);
+    } else if (regressions.length > 0) {
+      console.log(`\n${regressions.length} email(s) regressed from the baseline`);
+      process.exitCode = 1;
+    }
+  } finally {
+    Object.assign(console, originalConsole);
+    local.server.closeAllConnections();
+    local.server.close();
+    await blobs.stop();
+    fs.rmSync(blobsDir, { recursive: true, force: true });
+  }
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});